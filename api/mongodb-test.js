@@ -1,7 +1,23 @@
 const mongoose = require('mongoose');
 const { connectToDatabase } = require('../utils/db');
+const { authenticate } = require('../middleware/auth');
+const { ApiError } = require('../utils/errors');
 
 module.exports = async (req, res) => {
+  // Connection details and storage stats are for admins only. Checking the account
+  // needs the database, but the reason it failed is only shown once that passes.
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  let user;
+  try {
+    user = scheme === 'Bearer' ? await authenticate(token) : null;
+  } catch (error) {
+    console.error('MongoDB test error:', error);
+    return res.status(500).json(new ApiError(500, 'MongoDB connection test failed'));
+  }
+  if (!user || user.role !== 'admin') {
+    return res.status(401).json(new ApiError(401, 'Authentication required'));
+  }
+
   try {
     await connectToDatabase();
     const connection = mongoose.connection;
@@ -32,13 +48,12 @@ module.exports = async (req, res) => {
     });
   } catch (error) {
     console.error('MongoDB test error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'MongoDB connection test failed',
+    // Admins only, so the underlying error is included for diagnosis
+    res.status(500).json(new ApiError(500, 'MongoDB connection test failed', {
       error: {
         name: error.name,
         message: error.message
       }
-    });
+    }));
   }
 }; 
\ No newline at end of file
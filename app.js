@@ -0,0 +1,61 @@
+const express = require('express');
+const cors = require('cors');
+const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
+const reservationRoutes = require('./routes/reservations');
+const branchRoutes = require('./routes/branches');
+const menuRoutes = require('./routes/menu');
+const customerRoutes = require('./routes/customers');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const exportRoutes = require('./routes/exports');
+const archiveRoutes = require('./routes/archive');
+const privacyRoutes = require('./routes/privacy');
+const { notFound, errorHandler } = require('./middleware/errors');
+
+// Shared by the long-running server (server.js) and the Vercel handler (api/index.js)
+const app = express();
+
+// Behind Vercel's proxy the client address is in X-Forwarded-For; elsewhere set TRUST_PROXY_HOPS
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || (process.env.VERCEL ? '1' : '0')));
+
+const corsOptions = {
+  origin: ['https://xndoughs.quantumbytech.com', 'http://localhost:5173'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Origin', 'Authorization', 'X-Reservation-Token', 'X-Challenge-Token', 'Idempotency-Key', 'Last-Event-ID'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
+  credentials: true
+};
+
+// Enable CORS, including preflight requests
+app.use(cors(corsOptions));
+app.options('*', cors(corsOptions));
+
+// Add request logging
+app.use((req, res, next) => {
+  // Tokens passed in the query string (EventSource, customer links) are kept out of the logs
+  const url = req.url.replace(/([?&](?:access_)?token=)[^&]*/g, '$1[redacted]');
+  console.log(`${new Date().toISOString()} - ${req.method} ${url}`);
+  next();
+});
+
+app.use(express.json());
+
+// Routes
+app.use(['/api/health', '/'], healthRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/branches', branchRoutes);
+app.use('/api/menu', menuRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/archive', archiveRoutes);
+app.use('/api/privacy', privacyRoutes);
+
+// Every error, including malformed JSON and unknown routes, leaves through one handler
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
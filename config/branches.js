@@ -0,0 +1,26 @@
+// Pickup hours are wall-clock times at the branch; null means closed that day
+const DEFAULT_HOURS = {
+  sun: { open: '12:00', close: '23:00' },
+  mon: { open: '10:00', close: '23:00' },
+  tue: { open: '10:00', close: '23:00' },
+  wed: { open: '10:00', close: '23:00' },
+  thu: { open: '10:00', close: '23:00' },
+  fri: { open: '10:00', close: '24:00' },
+  sat: { open: '10:00', close: '24:00' }
+};
+
+const branch = (overrides = {}) => ({
+  timezone: 'Asia/Beirut',
+  slotMinutes: 30,
+  maxPerSlot: 10,
+  hours: DEFAULT_HOURS,
+  ...overrides
+});
+
+// Initial branches, seeded into an empty Branch collection
+module.exports = {
+  'Clemenceau': branch(),
+  'Jal El Dib': branch(),
+  'Kfarehbeb': branch({ maxPerSlot: 6 }),
+  'Bliss': branch({ maxPerSlot: 15 })
+};
@@ -0,0 +1,29 @@
+// Customer messages per lifecycle event and language.
+// Each template receives { name, branch, time } with time already formatted for the branch;
+// the code template also receives the pickup code.
+module.exports = {
+  en: {
+    created: ({ name, branch, time }) =>
+      `Hi ${name}, we received your XnDoughs order for pickup at ${branch} on ${time}. We'll let you know once it's confirmed.`,
+    confirmed: ({ name, branch, time }) =>
+      `Hi ${name}, your XnDoughs order is confirmed. See you at ${branch} on ${time}!`,
+    cancelled: ({ name, branch, time }) =>
+      `Hi ${name}, your XnDoughs order for pickup at ${branch} on ${time} has been cancelled.`,
+    reminder: ({ name, branch, time }) =>
+      `Hi ${name}, a reminder that your XnDoughs order is ready for pickup at ${branch} on ${time}.`,
+    code: ({ code }) =>
+      `Your XnDoughs pickup code is ${code}. Don't share it with anyone.`
+  },
+  ar: {
+    created: ({ name, branch, time }) =>
+      `مرحباً ${name}، استلمنا طلبك من XnDoughs للاستلام من فرع ${branch} في ${time}. سنعلمك فور تأكيده.`,
+    confirmed: ({ name, branch, time }) =>
+      `مرحباً ${name}، تم تأكيد طلبك من XnDoughs. نراك في فرع ${branch} في ${time}!`,
+    cancelled: ({ name, branch, time }) =>
+      `مرحباً ${name}، تم إلغاء طلبك من XnDoughs للاستلام من فرع ${branch} في ${time}.`,
+    reminder: ({ name, branch, time }) =>
+      `مرحباً ${name}، نذكّرك بأن طلبك من XnDoughs جاهز للاستلام من فرع ${branch} في ${time}.`,
+    code: ({ code }) =>
+      `رمز استلام طلبك من XnDoughs هو ${code}. لا تشاركه مع أحد.`
+  }
+};
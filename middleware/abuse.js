@@ -0,0 +1,55 @@
+const { connectToDatabase } = require('../utils/db');
+const { isStaff } = require('../utils/auth');
+const { hit } = require('../utils/rateLimit');
+const { getVerifier } = require('../utils/challenge');
+const { ApiError } = require('../utils/errors');
+
+// Limit how often one caller may hit an endpoint. `key` picks what is counted (an IP,
+// a phone number...); requests it returns nothing for, and staff requests, aren't limited.
+// Expects optionalAuth to have run so staff can be recognised.
+function rateLimit({ name, limit, windowMinutes, key }) {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value || isStaff(req.user)) return next();
+
+    try {
+      await connectToDatabase();
+      const { allowed, remaining, resetAt } = await hit(`${name}:${value}`, limit, windowMinutes * 60 * 1000);
+      res.set('RateLimit-Limit', String(limit));
+      res.set('RateLimit-Remaining', String(remaining));
+      if (!allowed) {
+        res.set('Retry-After', String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)));
+        return next(new ApiError(429, 'Too many requests, please try again later'));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Require a passed bot challenge (sent as X-Challenge-Token) when CHALLENGE_PROVIDER is set
+async function requireChallenge(req, res, next) {
+  if (isStaff(req.user)) return next();
+
+  try {
+    const verify = getVerifier();
+    if (!verify) return next();
+
+    const token = req.get('X-Challenge-Token');
+    if (!token) {
+      return next(new ApiError(400, 'Challenge token is required', { code: 'CHALLENGE_REQUIRED' }));
+    }
+    if (!await verify(token, req.ip)) {
+      return next(new ApiError(403, 'Challenge verification failed', { code: 'CHALLENGE_FAILED' }));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  rateLimit,
+  requireChallenge
+};
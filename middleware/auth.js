@@ -0,0 +1,97 @@
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const { User } = require('../models/user');
+const { ApiError } = require('../utils/errors');
+const { STAFF_ROLES, verifyToken, isStaff, canAccessBranch, accessTokenMatches } = require('../utils/auth');
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// The user a token was issued to, or null. A validly signed token still stops
+// working once its account is deactivated or its access changes.
+async function authenticate(token) {
+  const claims = token ? verifyToken(token) : null;
+  if (!claims) return null;
+
+  await connectToDatabase();
+  const user = await User.findById(claims.id).select('active tokenVersion').lean();
+  if (!user || !user.active || (user.tokenVersion || 0) !== claims.tokenVersion) {
+    return null;
+  }
+  return claims;
+}
+
+// Attach req.user when a valid token is sent, without requiring one
+async function optionalAuth(req, res, next) {
+  try {
+    req.user = await authenticate(bearerToken(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function requireAuth(req, res, next) {
+  try {
+    req.user = await authenticate(bearerToken(req));
+    if (!req.user) {
+      return next(new ApiError(401, 'Authentication required'));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requireRole(...roles) {
+  return [requireAuth, (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(new ApiError(403, 'You do not have permission to do this'));
+    }
+    next();
+  }];
+}
+
+const requireStaff = requireRole(...STAFF_ROLES);
+
+// Staff may act on reservations in their branch; customers only on their own,
+// identified by the access token returned when the reservation was created.
+function reservationAccess({ allowCustomerToken = false } = {}) {
+  return [optionalAuth, async (req, res, next) => {
+    try {
+      await connectToDatabase();
+      const reservation = await Reservation.findById(req.params.id).select('branch +accessTokenHash');
+      if (!reservation) {
+        return next(new ApiError(404, 'Reservation not found'));
+      }
+
+      if (isStaff(req.user)) {
+        if (!canAccessBranch(req.user, reservation.branch)) {
+          return next(new ApiError(403, 'You do not have access to this branch'));
+        }
+        return next();
+      }
+
+      const token = req.get('X-Reservation-Token') || req.query.token;
+      if (allowCustomerToken && accessTokenMatches(token, reservation.accessTokenHash)) {
+        return next();
+      }
+      next(new ApiError(req.user || token ? 403 : 401, 'You do not have access to this reservation'));
+    } catch (error) {
+      next(error);
+    }
+  }];
+}
+
+module.exports = {
+  bearerToken,
+  authenticate,
+  optionalAuth,
+  requireAuth,
+  requireRole,
+  requireStaff,
+  reservationAccess
+};
@@ -0,0 +1,23 @@
+const { ApiError, toApiError } = require('../utils/errors');
+
+// Unknown routes get the same error shape as everything else
+function notFound(req, res, next) {
+  next(new ApiError(404, `No route for ${req.method} ${req.path}`));
+}
+
+// The one place error responses are written
+function errorHandler(err, req, res, next) {
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    console.error(err.stack || err);
+  }
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+  res.status(error.status).json(error);
+}
+
+module.exports = {
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { connectToDatabase } = require('../utils/db');
+const { IdempotencyKey } = require('../models/idempotencyKey');
+const { ApiError, validationError } = require('../utils/errors');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+// A request still marked in progress after this long is assumed to have died mid-way
+const LOCK_SECONDS = 60;
+const DUPLICATE_KEY = 11000;
+
+// Key order doesn't change what a JSON body means, so it mustn't change its hash either
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestHash(req) {
+  return crypto.createHash('sha256').update(canonical(req.body || {})).digest('hex');
+}
+
+// Server errors and rate limiting are worth retrying, so they are not replayed
+const isReplayable = statusCode => statusCode < 500 && statusCode !== 429;
+
+// Secrets handed out once (the customer's access token) are never stored; a route
+// that hands one out passes a `replay` hook to issue a fresh one instead
+const SECRET_FIELDS = ['accessToken'];
+
+function storableBody(body) {
+  const copy = JSON.parse(JSON.stringify(body));
+  if (copy && typeof copy === 'object') {
+    SECRET_FIELDS.forEach(field => delete copy[field]);
+  }
+  return copy;
+}
+
+// Claim the key for this request. Resolves with null when the caller should go ahead,
+// or with the existing record when the key has been seen before.
+async function claim(scope, key, hash) {
+  const now = new Date();
+  try {
+    await IdempotencyKey.create({
+      scope,
+      key,
+      requestHash: hash,
+      expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000)
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+
+  // Take over a stale claim left behind by a request that never finished
+  const retaken = await IdempotencyKey.findOneAndUpdate(
+    { scope, key, requestHash: hash, status: 'in_progress', createdAt: { $lt: new Date(now.getTime() - LOCK_SECONDS * 1000) } },
+    { $set: { createdAt: now } }
+  );
+  if (retaken) return null;
+
+  return IdempotencyKey.findOne({ scope, key }).lean();
+}
+
+// Honour an Idempotency-Key header: the first response for a key is stored and
+// sent again for repeats, and reusing a key with a different body is rejected.
+// Requests without the header are handled as usual. `replay(body, req)` may
+// rebuild a stored body before it is sent again.
+const idempotency = ({ replay } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > 255) {
+    return next(validationError('Idempotency-Key must be at most 255 characters', [
+      { location: 'headers', field: 'Idempotency-Key', message: 'Idempotency-Key must be at most 255 characters' }
+    ]));
+  }
+
+  // Keys are per caller: signed-in users never see each other's responses
+  const scope = `${req.method} ${req.baseUrl}${req.path}${req.user ? ` user:${req.user.id}` : ''}`;
+  const hash = requestHash(req);
+
+  let existing;
+  try {
+    await connectToDatabase();
+    existing = await claim(scope, key, hash);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (existing) {
+    if (existing.requestHash !== hash) {
+      return next(new ApiError(422, 'Idempotency-Key has already been used with a different request body', {
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      }));
+    }
+    if (existing.status === 'in_progress') {
+      res.set('Retry-After', '1');
+      return next(new ApiError(409, 'A request with this Idempotency-Key is still being processed', {
+        code: 'IDEMPOTENCY_KEY_IN_USE'
+      }));
+    }
+    let body = existing.response.body;
+    if (replay) {
+      try {
+        body = await replay(body, req);
+      } catch (error) {
+        return next(error);
+      }
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.statusCode).json(body);
+  }
+
+  // Store the outcome before it is sent, so it is saved even where the process is
+  // frozen as soon as the response goes out (serverless)
+  const send = res.json.bind(res);
+  res.json = body => {
+    const response = { statusCode: res.statusCode, body: storableBody(body) };
+    const stored = isReplayable(res.statusCode)
+      ? IdempotencyKey.updateOne(
+        { scope, key },
+        { $set: { status: 'completed', response } }
+      )
+      : IdempotencyKey.deleteOne({ scope, key });
+
+    stored
+      .catch(error => console.error('Error storing idempotent response:', error))
+      .finally(() => send(body));
+    return res;
+  };
+  next();
+};
+
+module.exports = { idempotency };
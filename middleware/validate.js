@@ -0,0 +1,32 @@
+const { validateInput } = require('../utils/validation');
+const { validationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validate the request against schemas for any of params, query and body. Each
+// validated part is replaced by its cleaned value, so handlers only see declared
+// fields, already coerced to their types. Unknown body fields are dropped unless
+// `unknownBody: 'reject'` is given; unknown params and query fields are always dropped.
+function validate(schemas, { unknownBody = 'strip' } = {}) {
+  return (req, res, next) => {
+    const fields = [];
+    const cleaned = {};
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+      const { value, errors } = validateInput(schemas[location], req[location], {
+        location,
+        unknown: location === 'body' ? unknownBody : 'strip'
+      });
+      cleaned[location] = value;
+      fields.push(...errors);
+    }
+
+    if (fields.length > 0) {
+      return next(validationError('Request validation failed', fields));
+    }
+    Object.assign(req, cleaned);
+    next();
+  };
+}
+
+module.exports = { validate };
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Admin alert outbox: one document per alert, one delivery per transport. Alerts are
+// dropped after 90 days, long after their deliveries have been retried.
+const deliverySchema = new mongoose.Schema({
+  transport: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  sentAt: Date
+}, { _id: false });
+
+const alertSchema = new mongoose.Schema({
+  // Alerts with the same key are deduplicated within the cooldown window
+  key: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  message: String,
+  deliveries: [deliverySchema],
+  suppressedCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60
+  }
+});
+
+alertSchema.index({ key: 1, createdAt: -1 });
+alertSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+
+const Alert = mongoose.models.Alert || mongoose.model('Alert', alertSchema);
+
+module.exports = { Alert };
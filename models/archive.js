@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Reservations moved out of the live collection by DatabaseManager.archiveReservations.
+// Archived documents keep their original _id, which is what makes archiving and
+// restoring safe to re-run. No validators: the archive records what was, not what is allowed now.
+const archiveSchema = new mongoose.Schema({
+  name: String,
+  phone: String,
+  branch: String,
+  time: Date,
+  status: String,
+  language: String,
+  cancellationReason: String,
+  items: [{
+    _id: false,
+    item: mongoose.Schema.Types.ObjectId,
+    name: String,
+    quantity: Number,
+    unitPrice: { lbp: Number, usd: Number },
+    lineTotal: { lbp: Number, usd: Number }
+  }],
+  total: {
+    lbp: Number,
+    usd: Number
+  },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    reason: String,
+    by: String,
+    at: Date
+  }],
+  notifications: [{
+    _id: false,
+    event: String,
+    provider: String,
+    status: String,
+    messageId: String,
+    error: String,
+    at: Date
+  }],
+  createdAt: Date,
+  anonymizedAt: Date,
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  archiveReason: String,
+  originalCollection: String,
+  // Never archived any more, but older copies may still hold them; kept out of every query
+  accessTokenHash: {
+    type: String,
+    select: false
+  },
+  otp: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  }
+});
+
+archiveSchema.index({ branch: 1, createdAt: -1 });
+archiveSchema.index({ phone: 1 });
+archiveSchema.index({ status: 1 });
+archiveSchema.index({ archivedAt: 1 });
+
+const Archive = mongoose.models.Archive || mongoose.model('Archive', archiveSchema);
+
+// Fields added when archiving, dropped again on restore
+const ARCHIVE_FIELDS = ['archivedAt', 'archiveReason', 'originalCollection'];
+
+module.exports = { Archive, ARCHIVE_FIELDS };
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const hoursSchema = new mongoose.Schema({
+  open: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-4]):[0-5]\d$/, 'Opening time must be formatted as HH:mm']
+  },
+  close: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-4]):[0-5]\d$/, 'Closing time must be formatted as HH:mm']
+  }
+}, { _id: false });
+
+// A missing day means the branch is closed
+const dayHours = { type: hoursSchema, default: null };
+
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Beirut',
+    validate: {
+      validator: function(v) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: v });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: props => `${props.value} is not a valid timezone!`
+    }
+  },
+  hours: {
+    sun: dayHours,
+    mon: dayHours,
+    tue: dayHours,
+    wed: dayHours,
+    thu: dayHours,
+    fri: dayHours,
+    sat: dayHours
+  },
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: [5, 'Slots must be at least 5 minutes long']
+  },
+  maxPerSlot: {
+    type: Number,
+    default: 10,
+    min: [1, 'Each slot must allow at least one reservation']
+  },
+  // Whether customers can book with a non-Lebanese phone number, e.g. branches popular with tourists
+  allowForeignPhones: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Branch = mongoose.models.Branch || mongoose.model('Branch', branchSchema);
+
+module.exports = { Branch };
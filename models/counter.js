@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named sequences handed out with $inc. Every server takes numbers from the same
+// document, so they follow the order they were taken in whichever instance asked.
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+counterSchema.index({ name: 1 }, { unique: true });
+
+const Counter = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+
+module.exports = { Counter };
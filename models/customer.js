@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// What we know about whoever orders under a phone number, built up from their
+// reservations. Phone numbers are stored in the same normalized form as on
+// reservations, so a profile and its reservations always match exactly.
+const customerSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    unique: true
+  },
+  // Every name the customer has ordered under
+  names: [{
+    type: String,
+    trim: true
+  }],
+  totalOrders: {
+    type: Number,
+    default: 0
+  },
+  completedOrders: {
+    type: Number,
+    default: 0
+  },
+  noShows: {
+    type: Number,
+    default: 0
+  },
+  // The most recent no-shows, newest last; enough to tell whether they were repeated
+  recentNoShows: [Date],
+  // Pickup time of the last completed reservation
+  lastVisitAt: Date,
+  // Set when repeated no-shows are detected, kept after a block runs out so staff can see the history
+  flaggedAt: Date,
+  // New pending reservations are refused until then
+  blockedUntil: Date,
+  blockReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Customer = mongoose.models.Customer || mongoose.model('Customer', customerSchema);
+
+module.exports = { Customer };
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One run of a background job. Runs are dropped after 90 days; the job history only
+// needs to cover recent behaviour.
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    enum: ['monitor', 'cleanup', 'archive', 'reminders', 'alerts']
+  },
+  // schedule: in-process timers in server.js, cron: the Vercel cron route, manual: an admin request
+  trigger: {
+    type: String,
+    required: true,
+    enum: ['schedule', 'cron', 'manual']
+  },
+  triggeredBy: String,
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60
+  },
+  finishedAt: Date,
+  durationMs: Number
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+const JobRun = mongoose.models.JobRun || mongoose.model('JobRun', jobRunSchema);
+
+module.exports = { JobRun };
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Something customers can order with a reservation. Prices are kept in both
+// currencies the shops take; LBP in whole pounds, USD to the cent.
+const menuItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  price: {
+    lbp: {
+      type: Number,
+      required: [true, 'LBP price is required'],
+      min: [0, 'Prices cannot be negative'],
+      validate: {
+        validator: Number.isInteger,
+        message: props => `${props.value} is not a whole number of pounds!`
+      }
+    },
+    usd: {
+      type: Number,
+      required: [true, 'USD price is required'],
+      min: [0, 'Prices cannot be negative']
+    }
+  },
+  // Branches that sell the item; empty means every branch
+  branches: [{
+    type: String,
+    trim: true
+  }],
+  // How many can be promised per branch per pickup day; null means unlimited
+  dailyStock: {
+    type: Number,
+    default: null,
+    min: [0, 'Daily stock cannot be negative']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const MenuItem = mongoose.models.MenuItem || mongoose.model('MenuItem', menuItemSchema);
+
+module.exports = { MenuItem };
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// How many of an item confirmed reservations have taken at a branch on one pickup
+// day ("YYYY-MM-DD" in the branch's timezone). Counters are dropped after 90 days,
+// long after the day they count has passed.
+const menuStockSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  branch: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  reserved: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60
+  }
+});
+
+menuStockSchema.index({ item: 1, branch: 1, date: 1 }, { unique: true });
+
+const MenuStock = mongoose.models.MenuStock || mongoose.model('MenuStock', menuStockSchema);
+
+module.exports = { MenuStock };
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Audit trail of data-subject requests. The phone number itself is never stored,
+// only its privacy hash, so the audit log doesn't keep the data it was asked to erase.
+const privacyRequestSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['export', 'erase']
+  },
+  phoneHash: {
+    type: String,
+    required: true
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  // Free text, e.g. a ticket number or how the customer's identity was checked
+  reference: String,
+  counts: {
+    reservations: { type: Number, default: 0 },
+    archived: { type: Number, default: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+privacyRequestSchema.index({ phoneHash: 1, createdAt: -1 });
+privacyRequestSchema.index({ createdAt: -1 });
+
+const PrivacyRequest = mongoose.models.PrivacyRequest || mongoose.model('PrivacyRequest', privacyRequestSchema);
+
+module.exports = { PrivacyRequest };
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One fixed-window counter per limited key, e.g. "create-ip:203.0.113.7".
+// MongoDB's TTL monitor removes counters once their window is over.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.models.RateLimit || mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = { RateLimit };
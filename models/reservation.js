@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { findBranch } = require('../utils/branches');
+const { normalizePhone } = require('../utils/phone');
+
+const money = {
+  lbp: Number,
+  usd: Number
+};
 
 const reservationSchema = new mongoose.Schema({
   name: {
@@ -6,41 +13,126 @@ const reservationSchema = new mongoose.Schema({
     required: [true, 'Name is required'],
     trim: true
   },
+  // Stored in E.164 form; whether a branch takes foreign numbers is checked when booking
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
+    set: v => normalizePhone(v, { allowForeign: true }) || v,
     validate: {
       validator: function(v) {
-        return /^961\d{7,8}$/.test(v);
+        return normalizePhone(v, { allowForeign: true }) === v;
       },
-      message: props => `${props.value} is not a valid Lebanese phone number!`
+      message: props => `${props.value} is not a valid phone number!`
     }
   },
   branch: {
     type: String,
     required: [true, 'Branch is required'],
-    enum: ['Clemenceau', 'Jal El Dib', 'Kfarehbeb', 'Bliss']
+    validate: {
+      // Only re-checked when the branch changes, so closing a branch doesn't lock its reservations
+      validator: async function(v) {
+        if (this.isModified && !this.isNew && !this.isModified('branch')) return true;
+        return Boolean(await findBranch(v));
+      },
+      message: props => `${props.value} is not an open branch!`
+    }
   },
   time: {
-    type: String,
+    type: Date,
     required: [true, 'Pickup time is required']
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
     default: 'pending'
   },
-  otp: String,
+  // What the customer ordered, priced by the server when the line was added
+  items: [{
+    _id: false,
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      required: true
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    unitPrice: money,
+    lineTotal: money
+  }],
+  total: {
+    lbp: { type: Number, default: 0 },
+    usd: { type: Number, default: 0 }
+  },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    reason: String,
+    by: String,
+    at: Date
+  }],
+  language: {
+    type: String,
+    enum: ['en', 'ar'],
+    default: 'en'
+  },
+  // Delivery log of customer messages (created, confirmed, cancelled, reminder)
+  notifications: [{
+    _id: false,
+    event: String,
+    provider: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    messageId: String,
+    error: String,
+    at: Date
+  }],
+  accessTokenHash: {
+    type: String,
+    select: false
+  },
+  otp: {
+    type: new mongoose.Schema({
+      hash: String,
+      expiresAt: Date,
+      attempts: { type: Number, default: 0 },
+      lockedUntil: Date,
+      verifiedAt: Date
+    }, { _id: false }),
+    select: false
+  },
   cancellationReason: {
     type: String,
     enum: ['customer_changed_mind', 'no_show', 'duplicate_order', 'store_capacity', 'technical_issue', 'other']
   },
+  // Set once retention has stripped the customer's name and phone
+  anonymizedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: {
+    // Pickup code and access token hashes never leave the server
+    transform: (doc, ret) => {
+      delete ret.otp;
+      delete ret.accessTokenHash;
+      return ret;
+    }
+  }
 });
 
+// Slot capacity checks count reservations per branch and pickup time
+reservationSchema.index({ branch: 1, time: 1 });
+// Customer history and the per-phone abuse checks look reservations up by phone
+reservationSchema.index({ phone: 1, time: -1 });
+
 const Reservation = mongoose.models.Reservation || mongoose.model('Reservation', reservationSchema);
 
 module.exports = { Reservation }; 
\ No newline at end of file
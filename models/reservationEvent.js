@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['created', 'updated', 'status_changed', 'deleted', 'archived', 'restored', 'anonymized', 'erased'];
+
+// Append-only log of everything that happens to a reservation. Events outlive the
+// reservation itself, so the branch is copied here for access checks after deletion.
+const reservationEventSchema = new mongoose.Schema({
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  branch: String,
+  type: {
+    type: String,
+    required: true,
+    enum: EVENT_TYPES
+  },
+  // Field-level before/after values; empty for events that don't change fields
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: String,
+  // Username of the staff member, "customer" for token holders, or "system:<job>"
+  actor: {
+    type: String,
+    required: true
+  },
+  ip: String,
+  // Position in the feed, from a shared counter; events recorded before it existed have none
+  seq: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reservationEventSchema.index({ reservation: 1, at: 1 });
+reservationEventSchema.index({ at: -1 });
+reservationEventSchema.index({ seq: 1 });
+
+const ReservationEvent = mongoose.models.ReservationEvent || mongoose.model('ReservationEvent', reservationEventSchema);
+
+module.exports = { ReservationEvent, EVENT_TYPES };
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+// One rule: after `afterDays`, apply `action` to matching reservations in `source`.
+// Leaving status or branch empty matches every status or branch.
+const ruleSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['live', 'archive'],
+    default: 'live'
+  },
+  status: {
+    type: String,
+    enum: STATUSES
+  },
+  branch: String,
+  afterDays: {
+    type: Number,
+    required: [true, 'afterDays is required'],
+    min: [0, 'afterDays cannot be negative']
+  },
+  action: {
+    type: String,
+    enum: ['delete', 'archive', 'anonymize'],
+    required: [true, 'action is required'],
+    validate: {
+      validator: function(v) {
+        return !(v === 'archive' && this.source === 'archive');
+      },
+      message: 'Archived reservations cannot be archived again'
+    }
+  }
+}, { _id: false });
+
+const retentionPolicySchema = new mongoose.Schema({
+  // A single policy document is used, stored under this key
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  rules: [ruleSchema],
+  // Database storage quota that usage alerts are measured against
+  storageLimitMB: {
+    type: Number,
+    default: 512,
+    min: [1, 'storageLimitMB must be positive']
+  },
+  updatedBy: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const RetentionPolicy = mongoose.models.RetentionPolicy || mongoose.model('RetentionPolicy', retentionPolicySchema);
+
+module.exports = { RetentionPolicy };
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How many places in a branch's pickup slot are taken by active reservations.
+// Bookings take a place with a conditional $inc so two requests can't both get the
+// last one. Counters are dropped a day after the slot has passed.
+const slotCountSchema = new mongoose.Schema({
+  branch: {
+    type: String,
+    required: true
+  },
+  time: {
+    type: Date,
+    required: true,
+    expires: 24 * 60 * 60
+  },
+  reserved: {
+    type: Number,
+    default: 0
+  }
+});
+
+slotCountSchema.index({ branch: 1, time: 1 }, { unique: true });
+
+const SlotCount = mongoose.models.SlotCount || mongoose.model('SlotCount', slotCountSchema);
+
+module.exports = { SlotCount };
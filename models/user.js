@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['admin', 'branch_manager', 'customer'];
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Role is required']
+  },
+  // Branch managers only see and manage reservations for this branch
+  branch: {
+    type: String,
+    required: [
+      function() { return this.role === 'branch_manager'; },
+      'Branch managers must be assigned a branch'
+    ]
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped when the role, branch, password or active flag changes, which invalidates
+  // every token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+
+module.exports = { User, ROLES };
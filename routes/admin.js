@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { JobRun } = require('../models/jobRun');
+const { RetentionPolicy } = require('../models/retentionPolicy');
+const DatabaseManager = require('../utils/databaseManager');
+const { JOB_NAMES, runJob } = require('../utils/jobs');
+const { getPolicy, validatePolicy, applyRetention } = require('../utils/retention');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ApiError } = require('../utils/errors');
+
+// Rules are checked in detail by the RetentionPolicy schema
+const retentionBody = {
+  rules: { type: 'array', of: { type: 'object' } },
+  storageLimitMB: { type: 'number' }
+};
+
+const router = express.Router();
+
+// Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const provided = Buffer.from(req.get('Authorization') || '');
+  const expected = Buffer.from(`Bearer ${secret}`);
+  if (!secret || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return next(new ApiError(401, 'Invalid cron secret'));
+  }
+  next();
+}
+
+const sendRun = (res, run) => res.status(run.status === 'failed' ? 500 : 200).json(run);
+
+// Database size and usage against the configured storage limit
+router.get('/db/stats', requireRole('admin'), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const stats = await DatabaseManager.getStats();
+    if (!stats) {
+      throw new ApiError(500, 'Could not read database stats');
+    }
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run cleanup now
+router.post('/db/cleanup', requireRole('admin'), async (req, res, next) => {
+  try {
+    sendRun(res, await runJob('cleanup', 'manual', req.user.username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run archiving now
+router.post('/db/archive', requireRole('admin'), async (req, res, next) => {
+  try {
+    sendRun(res, await runJob('archive', 'manual', req.user.username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recent maintenance runs, newest first
+router.get('/jobs', requireRole('admin'), validate({
+  query: {
+    job: { type: 'string', enum: JOB_NAMES },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 }
+  }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const query = req.query.job ? { job: req.query.job } : {};
+    const runs = await JobRun.find(query).sort({ startedAt: -1 }).limit(req.query.limit);
+    res.json(runs);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The retention policy in force (the built-in default until one is saved)
+router.get('/retention', requireRole('admin'), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    res.json(await getPolicy());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the retention policy
+router.put('/retention', requireRole('admin'), validate({
+  body: { ...retentionBody, rules: { ...retentionBody.rules, required: true } }
+}), async (req, res, next) => {
+  try {
+    const policy = await validatePolicy(req.body);
+    await connectToDatabase();
+    const saved = await RetentionPolicy.findOneAndUpdate(
+      { key: 'default' },
+      {
+        rules: policy.rules,
+        storageLimitMB: policy.storageLimitMB,
+        updatedBy: req.user.username,
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json(saved);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report what the saved policy, or the policy in the body, would affect right now
+router.post('/retention/dry-run', requireRole('admin'), validate({ body: retentionBody }), async (req, res, next) => {
+  try {
+    const policy = req.body.rules ? await validatePolicy(req.body) : undefined;
+    await connectToDatabase();
+    res.json(await applyRetention({ dryRun: true, policy }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Scheduled entry point for serverless deployments (see "crons" in vercel.json)
+router.get('/cron/:job', requireCronSecret, validate({
+  params: { job: { type: 'string', required: true, enum: JOB_NAMES } }
+}), async (req, res, next) => {
+  try {
+    sendRun(res, await runJob(req.params.job, 'cron', 'vercel-cron'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const { Archive, ARCHIVE_FIELDS } = require('../models/archive');
+const { parseListQuery } = require('../utils/reservationQuery');
+const { moveDocuments } = require('../utils/archive');
+const reservationEvents = require('../utils/reservationEvents');
+const { validate } = require('../middleware/validate');
+const { idParams, listQuery } = require('../utils/validation');
+const { ApiError } = require('../utils/errors');
+const { requireStaff } = require('../middleware/auth');
+const { canAccessBranch, scopeToBranch } = require('../utils/auth');
+
+const router = express.Router();
+
+// Search archived reservations; same filters and paging as the live list
+router.get('/', requireStaff, validate({ query: listQuery }), async (req, res, next) => {
+  try {
+    const { filter, sort, page, limit } = parseListQuery(req.query);
+    await connectToDatabase();
+    const scoped = scopeToBranch(req.user, filter);
+    const [archived, total] = await Promise.all([
+      Archive.find(scoped).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+      Archive.countDocuments(scoped)
+    ]);
+    res.json({
+      data: archived,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get an archived reservation by ID
+router.get('/:id', requireStaff, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const archived = await Archive.findById(req.params.id).lean();
+    if (!archived || !canAccessBranch(req.user, archived.branch)) {
+      throw new ApiError(404, 'Archived reservation not found');
+    }
+    res.json(archived);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move an archived reservation back into the live collection
+router.post('/:id/restore', requireStaff, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const archived = await Archive.findById(req.params.id).lean();
+    if (!archived || !canAccessBranch(req.user, archived.branch)) {
+      throw new ApiError(404, 'Archived reservation not found');
+    }
+    // The customer's name and phone are gone for good; a live reservation needs them
+    if (archived.anonymizedAt) {
+      throw new ApiError(409, 'Anonymized reservations cannot be restored');
+    }
+
+    const restored = { ...archived };
+    ARCHIVE_FIELDS.forEach(field => delete restored[field]);
+    await moveDocuments(Archive, Reservation, [restored]);
+    await reservationEvents.record(archived, 'restored', reservationEvents.requestActor(req));
+
+    const reservation = await Reservation.findById(archived._id);
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
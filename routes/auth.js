@@ -0,0 +1,123 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { User, ROLES } = require('../models/user');
+const { hashPassword, checkPassword, signToken } = require('../utils/auth');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const password = {
+  type: 'string',
+  trim: false,
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: 200,
+  message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+};
+
+const userFields = {
+  role: { type: 'string', enum: ROLES },
+  branch: { type: 'string' },
+  active: { type: 'boolean' },
+  password
+};
+
+// Exchange a username and password for a signed token
+router.post('/login', validate({
+  body: {
+    username: { type: 'string', required: true, lowercase: true },
+    password: { type: 'string', required: true, trim: false }
+  }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const { username, password } = req.body;
+
+    const user = await User.findOne({ username, active: true }).select('+passwordHash');
+    // Same response for unknown users and wrong passwords
+    if (!user || !await checkPassword(password, user.passwordHash)) {
+      throw new ApiError(401, 'Invalid username or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      token: signToken(user),
+      user: { id: user._id, username: user.username, role: user.role, branch: user.branch }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Current user, as encoded in the token
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+// List accounts
+router.get('/users', requireRole('admin'), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const users = await User.find().sort({ createdAt: -1 });
+    res.json(users);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a staff or customer account
+router.post('/users', requireRole('admin'), validate({
+  body: {
+    ...userFields,
+    username: { type: 'string', required: true, lowercase: true, maxLength: 50 },
+    password: { ...password, required: true }
+  }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const { username, password, role, branch } = req.body;
+    const user = new User({ username, role, branch, passwordHash: await hashPassword(password) });
+    const savedUser = await user.save();
+    const { passwordHash, ...created } = savedUser.toObject();
+    res.status(201).json(created);
+  } catch (error) {
+    next(error.code === 11000 ? new ApiError(409, 'Username is already taken') : error);
+  }
+});
+
+// Change an account's role, branch, password or active flag
+router.put('/users/:id', requireRole('admin'), validate({ params: idParams, body: userFields }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const { role, branch, active, password } = req.body;
+    if (password !== undefined) {
+      user.passwordHash = await hashPassword(password);
+    }
+    if (role !== undefined) user.role = role;
+    if (branch !== undefined) user.branch = branch;
+    if (active !== undefined) user.active = active;
+    // Tokens issued before a change of access stop working
+    if (['passwordHash', 'role', 'branch', 'active'].some(field => user.isModified(field))) {
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+    const { passwordHash, ...updated } = user.toObject();
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { Branch } = require('../models/branch');
+const { ensureDefaultBranches, findBranch, listBranches } = require('../utils/branches');
+const { isValidDateString, getAvailability } = require('../utils/availability');
+const { canAccessBranch } = require('../utils/auth');
+const { requireRole, requireStaff } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { branchParams } = require('../utils/validation');
+const { ApiError, invalidField } = require('../utils/errors');
+
+const router = express.Router();
+
+const TIME_OF_DAY = /^([01]\d|2[0-4]):[0-5]\d$/;
+
+// Opening hours for one day; null means closed
+const dayHours = {
+  type: 'object',
+  nullable: true,
+  fields: {
+    open: { type: 'string', required: true, pattern: TIME_OF_DAY, message: 'open must be formatted as HH:mm' },
+    close: { type: 'string', required: true, pattern: TIME_OF_DAY, message: 'close must be formatted as HH:mm' }
+  }
+};
+
+// Mongoose checks the rest (timezone validity, unique names) when the branch is saved
+const branchFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100, message: 'name cannot be empty' },
+  address: { type: 'string', maxLength: 200 },
+  phone: { type: 'string', maxLength: 30 },
+  timezone: { type: 'string' },
+  hours: {
+    type: 'object',
+    fields: Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => [day, dayHours]))
+  },
+  slotMinutes: { type: 'integer', min: 5 },
+  maxPerSlot: { type: 'integer', min: 1 },
+  allowForeignPhones: { type: 'boolean' },
+  active: { type: 'boolean' }
+};
+
+// Opening or closing a branch and who it takes orders from is decided centrally;
+// managers look after their own branch's details, hours and capacity
+const ADMIN_ONLY_FIELDS = ['active', 'allowForeignPhones'];
+
+// List branches; inactive ones are only included on request
+router.get('/', validate({
+  query: { includeInactive: { type: 'boolean', default: false } }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const branches = await listBranches({ includeInactive: req.query.includeInactive });
+    res.json(branches);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a branch by name
+router.get('/:branch', validate({ params: branchParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const branch = await findBranch(req.params.branch, { includeInactive: true });
+    if (!branch) {
+      throw new ApiError(404, 'Branch not found');
+    }
+    res.json(branch);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Open a new branch
+router.post('/', requireRole('admin'), validate({
+  body: { ...branchFields, name: { ...branchFields.name, required: true } }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    await ensureDefaultBranches();
+    const branch = new Branch(req.body);
+    const savedBranch = await branch.save();
+    res.status(201).json(savedBranch);
+  } catch (error) {
+    next(error.code === 11000 ? new ApiError(409, 'A branch with this name already exists') : error);
+  }
+});
+
+// Update branch details, hours or capacity
+router.put('/:branch', requireStaff, validate({ params: branchParams, body: branchFields }), async (req, res, next) => {
+  try {
+    if (!canAccessBranch(req.user, req.params.branch)) {
+      throw new ApiError(403, 'You do not have access to this branch');
+    }
+
+    await connectToDatabase();
+    const updates = req.body;
+    const adminOnly = ADMIN_ONLY_FIELDS.find(field => updates[field] !== undefined);
+    if (adminOnly && req.user.role !== 'admin') {
+      throw new ApiError(403, `Only admins can change ${adminOnly}`);
+    }
+    // Reservations reference branches by name, so names are fixed once created
+    if (updates.name !== undefined && updates.name !== req.params.branch) {
+      throw invalidField('body', 'name', 'Branch names cannot be changed');
+    }
+
+    await ensureDefaultBranches();
+    const branch = await Branch.findOne({ name: req.params.branch });
+    if (!branch) {
+      throw new ApiError(404, 'Branch not found');
+    }
+
+    branch.set(updates);
+    await branch.save();
+    res.json(branch);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Close a branch; it is deactivated rather than removed so past reservations keep their branch
+router.delete('/:branch', requireRole('admin'), validate({ params: branchParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    await ensureDefaultBranches();
+    const branch = await Branch.findOneAndUpdate(
+      { name: req.params.branch },
+      { active: false },
+      { new: true }
+    );
+    if (!branch) {
+      throw new ApiError(404, 'Branch not found');
+    }
+    res.json({ message: 'Branch deactivated successfully', branch });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Open pickup slots for a branch on a given date
+router.get('/:branch/availability', validate({
+  params: branchParams,
+  query: { date: { type: 'string', required: true } }
+}), async (req, res, next) => {
+  try {
+    const { date } = req.query;
+    if (!isValidDateString(date)) {
+      throw invalidField('query', 'date', 'date must be formatted as YYYY-MM-DD');
+    }
+
+    await connectToDatabase();
+    const branch = await findBranch(req.params.branch);
+    if (!branch) {
+      throw new ApiError(404, 'Branch not found');
+    }
+
+    const slots = await getAvailability(branch.name, branch, date);
+    res.json({
+      branch: branch.name,
+      date,
+      timezone: branch.timezone,
+      slotMinutes: branch.slotMinutes,
+      slots
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { Customer } = require('../models/customer');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const customers = require('../utils/customers');
+const { requireRole, requireStaff } = require('../middleware/auth');
+const { scopeToBranch } = require('../utils/auth');
+const { validate } = require('../middleware/validate');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+const phoneParams = {
+  phone: { type: 'phone', required: true, message: 'phone must be a valid phone number' }
+};
+const paging = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 200, default: 20 }
+};
+const SOURCES = {
+  live: Reservation,
+  archive: Archive
+};
+
+// Admins see every customer; a branch manager only those with a live or archived
+// reservation at their branch
+async function hasOrderedHere(user, phone) {
+  if (user.role === 'admin') return true;
+  const filter = scopeToBranch(user, { phone });
+  return Boolean(await Reservation.exists(filter) || await Archive.exists(filter));
+}
+
+// List customers, most recently created first; ?flagged=true or ?blocked=true narrows
+// the list to repeat no-shows and those currently blocked. Customers order across
+// branches, so only admins see everyone.
+router.get('/', requireRole('admin'), validate({
+  query: {
+    ...paging,
+    flagged: { type: 'boolean' },
+    blocked: { type: 'boolean' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { page, limit, flagged, blocked } = req.query;
+    const filter = {};
+    if (flagged !== undefined) {
+      filter.flaggedAt = { $exists: flagged };
+    }
+    if (blocked !== undefined) {
+      filter.blockedUntil = blocked ? { $gt: new Date() } : { $not: { $gt: new Date() } };
+    }
+
+    await connectToDatabase();
+    const [data, total] = await Promise.all([
+      Customer.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Customer.countDocuments(filter)
+    ]);
+    res.json({
+      data,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a customer's profile by phone number. Branch managers only see customers who
+// have ordered at their branch.
+router.get('/:phone', requireStaff, validate({ params: phoneParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const customer = await Customer.findOne({ phone: req.params.phone });
+    if (!customer || !await hasOrderedHere(req.user, req.params.phone)) {
+      throw new ApiError(404, 'Customer not found');
+    }
+    res.json(customer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A customer's reservations, newest pickup first; ?source=archive for archived ones.
+// Branch managers only see reservations at their branch.
+router.get('/:phone/reservations', requireStaff, validate({
+  params: phoneParams,
+  query: {
+    ...paging,
+    source: { type: 'string', enum: Object.keys(SOURCES), default: 'live' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { page, limit, source } = req.query;
+    const Model = SOURCES[source];
+    const filter = scopeToBranch(req.user, { phone: req.params.phone });
+
+    await connectToDatabase();
+    const [data, total] = await Promise.all([
+      Model.find(filter).sort({ time: -1 }).skip((page - 1) * limit).limit(limit),
+      Model.countDocuments(filter)
+    ]);
+    res.json({
+      data,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Let a blocked customer place reservations again before the block runs out. A block
+// applies at every branch, so only admins can lift it.
+router.post('/:phone/unblock', requireRole('admin'), validate({ params: phoneParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const customer = await customers.unblock(req.params.phone);
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found');
+    }
+    res.json(customer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
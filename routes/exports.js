@@ -0,0 +1,78 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { parseListQuery } = require('../utils/reservationQuery');
+const { parseColumns, writeCsv, writeXlsx } = require('../utils/reservationExport');
+const { requireStaff } = require('../middleware/auth');
+const { scopeToBranch } = require('../utils/auth');
+const { validate } = require('../middleware/validate');
+const { listQuery } = require('../utils/validation');
+
+const router = express.Router();
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx }
+};
+const SOURCES = {
+  live: [['live', Reservation]],
+  archive: [['archive', Archive]],
+  all: [['live', Reservation], ['archive', Archive]]
+};
+
+// Download reservations as CSV or XLSX. Takes the same filters as the list endpoint
+// plus format, source (live, archive, all), columns and maskPhone.
+router.get('/reservations', requireStaff, validate({
+  query: {
+    ...listQuery,
+    format: { type: 'string', enum: Object.keys(FORMATS), default: 'csv' },
+    source: { type: 'string', enum: Object.keys(SOURCES), default: 'live' },
+    columns: { type: 'string' },
+    maskPhone: { type: 'boolean', default: false }
+  }
+}), async (req, res, next) => {
+  let filter, columns;
+  const format = FORMATS[req.query.format];
+  const sources = SOURCES[req.query.source];
+  try {
+    filter = scopeToBranch(req.user, parseListQuery(req.query).filter);
+    columns = parseColumns(req.query.columns);
+    await connectToDatabase();
+  } catch (error) {
+    return next(error);
+  }
+
+  const extension = req.query.format;
+  const scope = req.user.role === 'branch_manager' ? req.user.branch : (req.query.branch ? req.query.branch.join('-') : 'all');
+  const filename = `reservations-${scope}-${new Date().toISOString().slice(0, 10)}.${extension}`
+    .replace(/[^\w.-]+/g, '-');
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // Cursors keep memory flat however large the range is; each source is opened only once the previous one is done.
+  // A writer that stops early (the client went away) still closes the open cursor.
+  async function* documents() {
+    for (const [source, Model] of sources) {
+      const cursor = Model.find(filter).sort({ createdAt: 1 }).lean().cursor();
+      try {
+        for await (const doc of cursor) {
+          yield { ...doc, source };
+        }
+      } finally {
+        // A cursor whose query failed has nothing to close
+        await cursor.close().catch(() => {});
+      }
+    }
+  }
+
+  try {
+    await format.write(res, documents(), columns, { maskPhones: req.query.maskPhone });
+  } catch (error) {
+    // Headers are already sent, so all we can do is cut the download short
+    console.error('Error streaming export:', error);
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
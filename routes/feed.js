@@ -0,0 +1,129 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { FEED_BATCH_SIZE, parseCursor, itemsSince, subscribe } = require('../utils/reservationFeed');
+const { requireStaff } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// How often clients should poll when a push connection can't be held open
+const POLL_INTERVAL_MS = parseInt(process.env.FEED_POLL_INTERVAL_MS || '5000');
+const HEARTBEAT_MS = 25 * 1000;
+// Serverless functions are cut off after a short time, so streams there only replay and close
+const CAN_HOLD_CONNECTIONS = !process.env.VERCEL;
+
+// Branches a user's feed covers: managers always get their own, admins pick with ?branch= or get all
+function feedBranches(req) {
+  if (req.user.role === 'branch_manager') return [req.user.branch];
+  return req.query.branch || null;
+}
+
+// EventSource can't send headers, so the stream also accepts ?access_token=
+function queryToken(req, res, next) {
+  if (!req.get('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Poll for reservation events after ?since= (an event ID or ISO date). Without
+// since, returns the most recent events so a dashboard can pick up a cursor.
+router.get('/feed', requireStaff, validate({
+  query: {
+    since: { type: 'string' },
+    branch: { type: 'list' },
+    limit: { type: 'integer', min: 1, max: FEED_BATCH_SIZE, default: 50 }
+  }
+}), async (req, res, next) => {
+  try {
+    const cursor = parseCursor(req.query.since);
+    await connectToDatabase();
+    const items = await itemsSince(cursor, feedBranches(req), req.query.limit);
+    res.json({
+      data: items,
+      lastEventId: items.length > 0 ? items[items.length - 1].id : (req.query.since || null),
+      pollAfterMs: POLL_INTERVAL_MS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Server-Sent Events stream of reservation events. Reconnecting clients send
+// Last-Event-ID (or ?lastEventId=) and get everything they missed first.
+router.get('/feed/stream', queryToken, requireStaff, validate({
+  query: {
+    lastEventId: { type: 'string' },
+    branch: { type: 'list' }
+  }
+}), async (req, res, next) => {
+  let cursor;
+  try {
+    const lastEventId = req.get('Last-Event-ID');
+    cursor = lastEventId
+      ? parseCursor(lastEventId, 'Last-Event-ID', 'headers')
+      : parseCursor(req.query.lastEventId, 'lastEventId');
+    await connectToDatabase();
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${POLL_INTERVAL_MS}\n\n`);
+
+  // The client's cursor until the replay sends something newer; item IDs are event sequence numbers
+  let lastId = cursor && (req.get('Last-Event-ID') || req.query.lastEventId);
+  const send = item => {
+    res.write(`id: ${item.id}\nevent: ${item.type}\ndata: ${JSON.stringify(item)}\n\n`);
+    lastId = item.id;
+  };
+
+  // Buffer live events while the replay runs, then drop the ones the replay already covered
+  const branches = feedBranches(req);
+  let buffered = [];
+  const unsubscribe = CAN_HOLD_CONNECTIONS
+    ? subscribe(branches, item => buffered ? buffered.push(item) : send(item))
+    : () => {};
+  let heartbeat;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+  });
+
+  try {
+    if (cursor) {
+      for (;;) {
+        const items = await itemsSince(parseCursor(lastId), branches);
+        items.forEach(send);
+        if (items.length < FEED_BATCH_SIZE || closed) break;
+      }
+    }
+  } catch (error) {
+    console.error('Error replaying reservation feed:', error);
+    unsubscribe();
+    return res.end();
+  }
+
+  if (closed) return;
+  if (!CAN_HOLD_CONNECTIONS) {
+    // The client's EventSource reconnects after the retry interval with the last ID, which
+    // turns the stream into polling
+    return res.end();
+  }
+
+  buffered
+    .filter(item => !/^\d+$/.test(lastId) || Number(item.id) > Number(lastId))
+    .forEach(send);
+  buffered = null;
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+});
+
+module.exports = router;
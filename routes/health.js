@@ -0,0 +1,54 @@
+const express = require('express');
+const { connectToDatabase, isReady, checkHealth } = require('../utils/db');
+const { bearerToken, authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Whether the request comes from an admin. Never throws: with the database down
+// nobody can be recognised, and the health check still has to answer.
+async function isAdmin(req) {
+  try {
+    const user = await authenticate(bearerToken(req));
+    return Boolean(user) && user.role === 'admin';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Health check: 200 only when the database answers, 503 otherwise, so load
+// balancers and uptime monitors see real outages. Connection errors and replica
+// set hosts are only shown to admins.
+router.get('/', async (req, res) => {
+  try {
+    await connectToDatabase();
+  } catch (error) {
+    // Reported through checkHealth below
+  }
+
+  const database = await checkHealth();
+  const mongodb = database.ok && await isAdmin(req)
+    ? database
+    : { ok: database.ok, state: database.state, latencyMs: database.latencyMs };
+  res.status(database.ok ? 200 : 503).json({
+    status: database.ok ? 'ok' : 'error',
+    message: database.ok
+      ? 'XnDoughs API is running'
+      : 'XnDoughs API is running but the database is unavailable',
+    mongodb,
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Liveness: the process is up and serving requests, whatever the database is doing
+router.get('/live', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Readiness: whether this instance can serve database-backed requests right now
+router.get('/ready', (req, res) => {
+  const ready = isReady();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', timestamp: new Date().toISOString() });
+});
+
+module.exports = router;
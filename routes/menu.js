@@ -0,0 +1,140 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { MenuItem } = require('../models/menuItem');
+const { findBranch } = require('../utils/branches');
+const { isValidDateString } = require('../utils/availability');
+const { remainingStock } = require('../utils/menu');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+const { ApiError, invalidField } = require('../utils/errors');
+
+const router = express.Router();
+
+// Mongoose checks the rest (whole LBP amounts, unique names) when the item is saved
+const menuItemFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100, message: 'name cannot be empty' },
+  description: { type: 'string', maxLength: 500 },
+  price: {
+    type: 'object',
+    fields: {
+      lbp: { type: 'integer', required: true, min: 0 },
+      usd: { type: 'number', required: true, min: 0 }
+    }
+  },
+  branches: { type: 'list' },
+  dailyStock: { type: 'integer', min: 0, nullable: true },
+  active: { type: 'boolean' }
+};
+
+async function checkBranches(branches) {
+  for (const name of branches || []) {
+    if (!await findBranch(name, { includeInactive: true })) {
+      throw invalidField('body', 'branches', `${name} is not a branch`);
+    }
+  }
+}
+
+// List the menu. With ?branch= only items sold there are listed, and adding
+// ?date=YYYY-MM-DD reports how many of each are left for that pickup day.
+router.get('/', validate({
+  query: {
+    branch: { type: 'string' },
+    date: { type: 'string' },
+    includeInactive: { type: 'boolean', default: false }
+  }
+}), async (req, res, next) => {
+  try {
+    const { branch, date, includeInactive } = req.query;
+    if (date && !branch) {
+      throw invalidField('query', 'date', 'date can only be used together with branch');
+    }
+    if (date && !isValidDateString(date)) {
+      throw invalidField('query', 'date', 'date must be formatted as YYYY-MM-DD');
+    }
+
+    await connectToDatabase();
+    const filter = includeInactive ? {} : { active: true };
+    if (branch) {
+      if (!await findBranch(branch, { includeInactive: true })) {
+        throw new ApiError(404, 'Branch not found');
+      }
+      filter.$or = [{ branches: { $size: 0 } }, { branches: branch }];
+    }
+
+    let items = await MenuItem.find(filter).sort({ name: 1 }).lean();
+    if (date) {
+      const remaining = await remainingStock(items, branch, date);
+      items = items.map(item => ({ ...item, remaining: remaining.get(String(item._id)) }));
+    }
+    res.json(items);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a menu item by ID
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const item = await MenuItem.findById(req.params.id);
+    if (!item) {
+      throw new ApiError(404, 'Menu item not found');
+    }
+    res.json(item);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add an item to the menu
+router.post('/', requireRole('admin'), validate({
+  body: {
+    ...menuItemFields,
+    name: { ...menuItemFields.name, required: true },
+    price: { ...menuItemFields.price, required: true }
+  }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    await checkBranches(req.body.branches);
+    const item = await new MenuItem(req.body).save();
+    res.status(201).json(item);
+  } catch (error) {
+    next(error.code === 11000 ? new ApiError(409, 'A menu item with this name already exists') : error);
+  }
+});
+
+// Change an item's details, prices, availability or stock. Reservations keep the
+// prices they were placed at.
+router.put('/:id', requireRole('admin'), validate({ params: idParams, body: menuItemFields }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    await checkBranches(req.body.branches);
+    const item = await MenuItem.findById(req.params.id);
+    if (!item) {
+      throw new ApiError(404, 'Menu item not found');
+    }
+    item.set(req.body);
+    await item.save();
+    res.json(item);
+  } catch (error) {
+    next(error.code === 11000 ? new ApiError(409, 'A menu item with this name already exists') : error);
+  }
+});
+
+// Take an item off the menu; it is deactivated rather than removed so past orders keep their item
+router.delete('/:id', requireRole('admin'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const item = await MenuItem.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!item) {
+      throw new ApiError(404, 'Menu item not found');
+    }
+    res.json({ message: 'Menu item deactivated successfully', item });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
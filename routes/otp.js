@@ -0,0 +1,123 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const otp = require('../utils/otp');
+const { historyEntry } = require('../utils/reservationStatus');
+const { reservationAccess } = require('../middleware/auth');
+const CustomerNotifier = require('../utils/customerNotifier');
+const reservationEvents = require('../utils/reservationEvents');
+const { reserveStock } = require('../utils/menu');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Issue a new pickup code for a pending reservation and text it to the customer.
+// The code is never returned in the response: entering it proves access to the phone.
+router.post('/:id/otp', validate({ params: idParams }), reservationAccess({ allowCustomerToken: true }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const reservation = await Reservation.findById(req.params.id).select('+otp');
+    if (!reservation) {
+      throw new ApiError(404, 'Reservation not found');
+    }
+    if (reservation.status !== 'pending') {
+      throw new ApiError(409, `Cannot issue a code for a ${reservation.status} reservation`);
+    }
+
+    const lockedUntil = reservation.otp && reservation.otp.lockedUntil;
+    if (lockedUntil && lockedUntil > new Date()) {
+      throw new ApiError(423, 'Too many failed attempts, try again later', { lockedUntil });
+    }
+
+    const { code, otp: issued } = otp.issue(reservation._id, reservation.otp);
+    reservation.otp = issued;
+    await reservation.save();
+
+    // The plain code only ever goes to the customer's phone; the database keeps the hash
+    const delivery = await CustomerNotifier.notify(reservation, 'code', { code });
+    if (delivery.status !== 'sent') {
+      throw new ApiError(502, 'Could not send the pickup code, please try again');
+    }
+    res.status(201).json({ message: 'Pickup code sent', expiresAt: issued.expiresAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify a pickup code and confirm the reservation
+router.post('/:id/verify', validate({
+  params: idParams,
+  body: { code: { type: 'string', required: true, pattern: new RegExp(`^\\d{${otp.OTP_LENGTH}}$`), message: `code must be ${otp.OTP_LENGTH} digits` } }
+}), reservationAccess({ allowCustomerToken: true }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const { code } = req.body;
+
+    const reservation = await Reservation.findById(req.params.id).select('+otp');
+    if (!reservation) {
+      throw new ApiError(404, 'Reservation not found');
+    }
+    if (reservation.status !== 'pending') {
+      throw new ApiError(409, `Reservation is already ${reservation.status}`);
+    }
+    const now = new Date();
+    if (reservation.otp && reservation.otp.lockedUntil && reservation.otp.lockedUntil > now) {
+      throw new ApiError(423, 'Too many failed attempts, try again later', { lockedUntil: reservation.otp.lockedUntil });
+    }
+    if (!reservation.otp || !reservation.otp.hash) {
+      throw new ApiError(400, 'No code has been issued for this reservation', { code: 'NO_CODE_ISSUED' });
+    }
+    if (reservation.otp.expiresAt < now) {
+      throw new ApiError(410, 'Code has expired, request a new one', { code: 'CODE_EXPIRED' });
+    }
+
+    // Each check uses up an attempt before the code is compared. Taking it atomically
+    // means parallel guesses can't get past the limit by all reading the same count.
+    const attempt = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, 'otp.attempts': { $lt: otp.OTP_MAX_ATTEMPTS } },
+      { $inc: { 'otp.attempts': 1 } },
+      { new: true }
+    ).select('+otp');
+    const attempts = attempt ? attempt.otp.attempts : otp.OTP_MAX_ATTEMPTS;
+
+    if (!attempt || !otp.codeMatches(reservation._id, code, reservation.otp.hash)) {
+      if (attempts >= otp.OTP_MAX_ATTEMPTS) {
+        // Burn the code so a new one has to be issued once the lockout ends
+        const lockedUntil = otp.lockoutUntil();
+        await Reservation.updateOne({ _id: reservation._id }, { $set: { 'otp.lockedUntil': lockedUntil }, $unset: { 'otp.hash': '' } });
+        throw new ApiError(423, 'Too many failed attempts, try again later', { lockedUntil });
+      }
+      throw new ApiError(400, 'Invalid code', {
+        code: 'INVALID_CODE',
+        attemptsRemaining: otp.OTP_MAX_ATTEMPTS - attempts
+      });
+    }
+
+    // The code stays valid if the order can't be filled, so the customer can retry once staff adjust it
+    const soldOut = await reserveStock(reservation);
+    if (soldOut) {
+      throw new ApiError(409, `${soldOut} is sold out for that day`, { code: 'OUT_OF_STOCK' });
+    }
+
+    reservation.status = 'confirmed';
+    reservation.statusHistory.push(historyEntry('pending', 'confirmed', { by: req.user ? req.user.username : 'customer' }));
+    reservation.otp.hash = undefined;
+    reservation.otp.lockedUntil = undefined;
+    reservation.otp.verifiedAt = now;
+    await reservation.save();
+    await reservationEvents.record(reservation, 'status_changed', {
+      ...reservationEvents.requestActor(req),
+      changes: [{ field: 'status', from: 'pending', to: 'confirmed' }],
+      reason: 'pickup code verified'
+    });
+    await CustomerNotifier.notify(reservation, 'confirmed');
+
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
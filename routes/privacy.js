@@ -0,0 +1,84 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { PrivacyRequest } = require('../models/privacyRequest');
+const { hashPhone, exportSubjectData, eraseSubjectData } = require('../utils/privacy');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Data-subject requests are handled by admins only; every one is audited
+router.use(requireRole('admin'));
+
+const subjectParams = {
+  phone: { type: 'phone', required: true, message: 'phone must be a valid phone number' }
+};
+
+// Export all live and archived reservations for a phone number
+router.get('/subjects/:phone', validate({
+  params: subjectParams,
+  query: { reference: { type: 'string', maxLength: 200 } }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const data = await exportSubjectData(req.params.phone, {
+      requestedBy: req.user.username,
+      reference: req.query.reference
+    });
+    res.setHeader('Content-Disposition', `attachment; filename="subject-export-${data.requestId}.json"`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Erase all live and archived reservations for a phone number
+router.delete('/subjects/:phone', validate({
+  params: subjectParams,
+  body: { reference: { type: 'string', maxLength: 200 } }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const result = await eraseSubjectData(req.params.phone, {
+      requestedBy: req.user.username,
+      reference: req.body.reference
+    });
+    res.json({ message: 'Customer data erased', ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Audit log of data-subject requests, newest first; ?phone= narrows it to one customer
+router.get('/requests', validate({
+  query: {
+    phone: { type: 'phone' },
+    type: { type: 'string', enum: ['export', 'erase'] },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 }
+  }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const query = {};
+    if (req.query.phone) query.phoneHash = hashPhone(req.query.phone);
+    if (req.query.type) query.type = req.query.type;
+
+    const { page, limit } = req.query;
+    const [requests, total] = await Promise.all([
+      PrivacyRequest.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      PrivacyRequest.countDocuments(query)
+    ]);
+    res.json({
+      data: requests,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
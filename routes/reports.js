@@ -0,0 +1,51 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const reports = require('../utils/reports');
+const { requireStaff } = require('../middleware/auth');
+const { scopeToBranch } = require('../utils/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Query parameters every report accepts
+const reportQuery = {
+  source: { type: 'string', enum: reports.SOURCES, default: 'live' },
+  tz: { type: 'string', enum: reports.TIMEZONES, default: reports.DEFAULT_TIMEZONE, message: 'tz must be an IANA timezone, e.g. Asia/Beirut' },
+  branch: { type: 'list' },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  interval: { type: 'string', enum: ['day', 'hour'], default: 'day' },
+  limit: { type: 'integer', min: 1, max: 100, default: 10 }
+};
+
+// Wrap a report so every endpoint validates and parses filters, scopes managers to
+// their branch and reports errors the same way
+function reportRoute(build) {
+  return [validate({ query: reportQuery }), async (req, res, next) => {
+    try {
+      const options = reports.parseReportQuery(req.query);
+      options.match = scopeToBranch(req.user, options.match);
+      await connectToDatabase();
+      res.json(await build(options, req.query));
+    } catch (error) {
+      next(error);
+    }
+  }];
+}
+
+// Reservations per branch per day (or ?interval=hour)
+router.get('/volume', requireStaff, reportRoute((options, query) => reports.volume(options, query.interval)));
+
+// Confirmation, cancellation and no-show rates per branch
+router.get('/rates', requireStaff, reportRoute(options => reports.rates(options)));
+
+// Cancellations per branch by reason
+router.get('/cancellations', requireStaff, reportRoute(options => reports.cancellationReasons(options)));
+
+// Busiest pickup slots
+router.get('/peak-slots', requireStaff, reportRoute((options, query) => reports.peakSlots(options, query.limit)));
+
+// Returning customers by phone number; anonymized reservations count towards the same customer
+router.get('/repeat-customers', requireStaff, reportRoute((options, query) => reports.repeatCustomers(options, query.limit)));
+
+module.exports = router;
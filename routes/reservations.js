@@ -0,0 +1,347 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const otpRoutes = require('./otp');
+const statusRoutes = require('./status');
+const feedRoutes = require('./feed');
+const { EDITABLE_FIELDS, FINAL_STATUSES } = require('../utils/reservationStatus');
+const { validateSlot, takeSlot, releaseSlot } = require('../utils/availability');
+const { parseListQuery } = require('../utils/reservationQuery');
+const { findBranch } = require('../utils/branches');
+const { applyRetention } = require('../utils/retention');
+const { optionalAuth, requireRole, requireStaff, reservationAccess } = require('../middleware/auth');
+const { rateLimit, requireChallenge } = require('../middleware/abuse');
+const { idempotency } = require('../middleware/idempotency');
+const { isStaff, canAccessBranch, scopeToBranch, createAccessToken } = require('../utils/auth');
+const { findDuplicate, pendingLimitError } = require('../utils/abuse');
+const { priceOrder, reserveStock, releaseStock } = require('../utils/menu');
+const customers = require('../utils/customers');
+const CustomerNotifier = require('../utils/customerNotifier');
+const reservationEvents = require('../utils/reservationEvents');
+const { ReservationEvent } = require('../models/reservationEvent');
+const { validate } = require('../middleware/validate');
+const { idParams, branchParams, listQuery } = require('../utils/validation');
+const { isLebanesePhone } = require('../utils/phone');
+const { ApiError, invalidField } = require('../utils/errors');
+
+const router = express.Router();
+
+// Public booking limits; staff taking orders by phone are exempt
+const CREATE_LIMITS = {
+  perIpPerHour: parseInt(process.env.RATE_LIMIT_IP_PER_HOUR || '20'),
+  perPhonePerHour: parseInt(process.env.RATE_LIMIT_PHONE_PER_HOUR || '5')
+};
+
+const STATUSES = Reservation.schema.path('status').enumValues;
+const LANGUAGES = Reservation.schema.path('language').enumValues;
+
+// Ordered menu items; prices and totals are always worked out by the server
+const orderItems = {
+  type: 'array',
+  maxLength: 50,
+  of: {
+    type: 'object',
+    fields: {
+      item: { type: 'objectId', required: true, message: 'item must be a valid menu item ID' },
+      quantity: { type: 'integer', required: true, min: 1, max: 100 }
+    }
+  }
+};
+
+// Status, pickup codes and timestamps are managed by the server, so they aren't accepted here
+const createBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'phone', required: true, message: 'phone must be a Lebanese mobile or landline number, or an international number starting with +' },
+  branch: { type: 'string', required: true, maxLength: 100 },
+  time: { type: 'date', required: true },
+  language: { type: 'string', enum: LANGUAGES },
+  items: orderItems
+};
+
+const updateBody = {
+  name: { type: 'string', minLength: 1, maxLength: 100, message: 'name cannot be empty' },
+  branch: { type: 'string', minLength: 1, maxLength: 100, message: 'branch cannot be empty' },
+  time: { type: 'date' },
+  language: { type: 'string', enum: LANGUAGES },
+  items: orderItems,
+  status: { forbidden: 'Use the confirm, cancel, complete or no-show endpoints to change status' }
+};
+
+// List reservations with filters, sorting and pagination
+router.get('/', requireStaff, validate({ query: listQuery }), async (req, res, next) => {
+  try {
+    const { filter, sort, page, limit } = parseListQuery(req.query);
+    await connectToDatabase();
+    const scoped = scopeToBranch(req.user, filter);
+    const [reservations, total] = await Promise.all([
+      Reservation.find(scoped).sort(sort).skip((page - 1) * limit).limit(limit),
+      Reservation.countDocuments(scoped)
+    ]);
+    res.json({
+      data: reservations,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get reservations by status
+router.get('/status/:status', requireStaff, validate({
+  params: { status: { type: 'string', required: true, enum: STATUSES } }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const { status } = req.params;
+    const reservations = await Reservation.find(scopeToBranch(req.user, { status })).sort({ createdAt: -1 });
+    res.json(reservations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get reservations by branch
+router.get('/branch/:branch', requireStaff, validate({ params: branchParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const branch = await findBranch(req.params.branch, { includeInactive: true });
+    if (!branch) {
+      throw new ApiError(404, 'Branch not found');
+    }
+    if (!canAccessBranch(req.user, branch.name)) {
+      throw new ApiError(403, 'You do not have access to this branch');
+    }
+    const reservations = await Reservation.find({ branch: branch.name }).sort({ createdAt: -1 });
+    res.json(reservations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete reservations the retention policy marks for deletion; ?dryRun=true only counts them
+router.delete('/old', requireRole('admin'), validate({
+  query: { dryRun: { type: 'boolean', default: false } }
+}), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const { dryRun } = req.query;
+    const { total, results } = await applyRetention({
+      actions: ['delete'],
+      sources: ['live'],
+      dryRun,
+      actor: req.user.username
+    });
+
+    res.json({
+      message: dryRun ? 'Old reservations that would be deleted' : 'Old reservations deleted successfully',
+      count: total,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Live feed of reservation events for branch dashboards
+router.use(feedRoutes);
+
+// Pickup code issuance and verification
+router.use(otpRoutes);
+
+// Status transitions
+router.use(statusRoutes);
+
+// Every recorded change to a reservation, oldest first. Works after the reservation
+// has been archived or deleted, since events are kept separately.
+router.get('/:id/history', requireStaff, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const events = await ReservationEvent.find({ reservation: req.params.id }).sort({ at: 1, _id: 1 });
+    if (events.length === 0 || !events.every(event => canAccessBranch(req.user, event.branch))) {
+      throw new ApiError(404, 'No history found for this reservation');
+    }
+    res.json(events);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get reservation by ID
+router.get('/:id', validate({ params: idParams }), reservationAccess({ allowCustomerToken: true }), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      throw new ApiError(404, 'Reservation not found');
+    }
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The access token isn't kept with a stored response, so a replayed creation
+// gets a new one; the token from the lost response stops working
+async function reissueAccessToken(body) {
+  if (!body || !body._id || body.duplicate) return body;
+  const { token, hash } = createAccessToken();
+  const updated = await Reservation.updateOne({ _id: body._id }, { $set: { accessTokenHash: hash } });
+  return updated.matchedCount ? { ...body, accessToken: token } : body;
+}
+
+// Create reservation
+router.post('/',
+  optionalAuth,
+  validate({ body: createBody }),
+  idempotency({ replay: reissueAccessToken }),
+  rateLimit({ name: 'create-ip', limit: CREATE_LIMITS.perIpPerHour, windowMinutes: 60, key: req => req.ip }),
+  requireChallenge,
+  rateLimit({ name: 'create-phone', limit: CREATE_LIMITS.perPhonePerHour, windowMinutes: 60, key: req => req.body.phone }),
+  async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const { name, phone, branch, time, language, items } = req.body;
+
+    // A resubmitted form points at the reservation it already created rather than making
+    // a second one. Anyone can submit a phone number, so nothing else about it is returned.
+    const duplicate = await findDuplicate({ phone, branch, time });
+    if (duplicate) {
+      return res.status(200).json({ _id: duplicate._id, status: duplicate.status, duplicate: true });
+    }
+
+    if (!isStaff(req.user)) {
+      const blocked = await customers.blockedError(phone);
+      if (blocked) {
+        throw new ApiError(blocked.status, blocked.message, { code: 'CUSTOMER_BLOCKED', blockedUntil: blocked.blockedUntil });
+      }
+
+      const pendingError = await pendingLimitError(phone);
+      if (pendingError) {
+        throw new ApiError(pendingError.status, pendingError.message, { code: 'TOO_MANY_PENDING' });
+      }
+    }
+
+    // Reject closed, past or full pickup slots
+    const config = await findBranch(branch);
+    if (!isLebanesePhone(phone) && !(config && config.allowForeignPhones)) {
+      throw invalidField('body', 'phone', `${branch} only takes Lebanese phone numbers`);
+    }
+    const slotError = config && validateSlot(branch, config, time);
+    if (slotError) {
+      throw new ApiError(slotError.status, slotError.message);
+    }
+
+    const order = items && items.length > 0 ? await priceOrder(items, { branch, time }) : {};
+
+    if (config && !await takeSlot(branch, config, time)) {
+      throw new ApiError(409, 'This pickup slot is full, please choose another time');
+    }
+
+    const { token, hash } = createAccessToken();
+    const reservation = new Reservation({ name, phone, branch, time, language, ...order, accessTokenHash: hash });
+    let savedReservation;
+    try {
+      savedReservation = await reservation.save();
+    } catch (error) {
+      if (config) await releaseSlot(branch, time);
+      throw error;
+    }
+    await reservationEvents.record(savedReservation, 'created', {
+      ...reservationEvents.requestActor(req),
+      changes: reservationEvents.fieldChanges({}, savedReservation.toObject(), [...EDITABLE_FIELDS, 'phone', 'status'])
+    });
+    await customers.recordOrder(savedReservation);
+    await CustomerNotifier.notify(savedReservation, 'created');
+
+    // The access token is only ever returned here; customers use it to look up their reservation
+    res.status(201).json({ ...savedReservation.toJSON(), accessToken: token });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update reservation
+router.put('/:id',
+  validate({ params: idParams, body: updateBody }, { unknownBody: 'reject' }),
+  reservationAccess(),
+  idempotency(),
+  async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      throw new ApiError(404, 'Reservation not found');
+    }
+    if (FINAL_STATUSES.includes(reservation.status)) {
+      throw new ApiError(409, `Cannot edit a ${reservation.status} reservation`);
+    }
+
+    const before = reservation.toObject();
+    const { items, ...updates } = req.body;
+    reservation.set(updates);
+
+    if (!canAccessBranch(req.user, reservation.branch)) {
+      throw new ApiError(403, 'You do not have access to this branch');
+    }
+
+    // Moving a reservation needs room in the new slot; its old place is given back once the move is saved
+    const moved = reservation.isModified('branch') || reservation.isModified('time');
+    const config = moved && await findBranch(reservation.branch, { includeInactive: true });
+    if (config && !config.active) {
+      throw new ApiError(400, `${reservation.branch} is not taking reservations`, { code: 'BRANCH_INACTIVE' });
+    }
+    const slotError = config && validateSlot(reservation.branch, config, reservation.time);
+    if (slotError) {
+      throw new ApiError(slotError.status, slotError.message);
+    }
+    if (config && !await takeSlot(reservation.branch, config, reservation.time)) {
+      throw new ApiError(409, 'This pickup slot is full, please choose another time');
+    }
+
+    try {
+      // New lines, or the same lines at a different branch or day, are priced and checked again.
+      // Confirmed orders already hold stock, so theirs is moved rather than checked here.
+      const orderChanged = items !== undefined || moved;
+      if (orderChanged && (items || before.items).length > 0) {
+        const requested = items || before.items.map(({ item, quantity }) => ({ item, quantity }));
+        const { items: priced, total } = await priceOrder(requested, {
+          branch: reservation.branch,
+          time: reservation.time,
+          checkStock: reservation.status === 'pending'
+        });
+        reservation.set({ items: priced, total });
+      } else if (items) {
+        reservation.set({ items: [], total: { lbp: 0, usd: 0 } });
+      }
+
+      if (orderChanged && reservation.status === 'confirmed') {
+        await releaseStock(before);
+        const soldOut = await reserveStock(reservation);
+        if (soldOut) {
+          await reserveStock(before);
+          throw new ApiError(409, `${soldOut} is sold out for that day`, { code: 'OUT_OF_STOCK' });
+        }
+      }
+
+      await reservation.save();
+    } catch (error) {
+      if (config) await releaseSlot(reservation.branch, reservation.time);
+      throw error;
+    }
+    if (moved) {
+      await releaseSlot(before.branch, before.time);
+    }
+    const changes = reservationEvents.fieldChanges(before, reservation.toObject(), EDITABLE_FIELDS);
+    if (changes.length > 0) {
+      await reservationEvents.record(reservation, 'updated', { ...reservationEvents.requestActor(req), changes });
+    }
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const { TRANSITIONS, ACTION_EVENTS, historyEntry } = require('../utils/reservationStatus');
+const CustomerNotifier = require('../utils/customerNotifier');
+const reservationEvents = require('../utils/reservationEvents');
+const { reserveStock, releaseStock } = require('../utils/menu');
+const { ACTIVE_STATUSES, releaseSlot } = require('../utils/availability');
+const customers = require('../utils/customers');
+const { reservationAccess } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../utils/validation');
+const { ApiError, invalidField } = require('../utils/errors');
+
+const router = express.Router();
+
+const CANCELLATION_REASONS = Reservation.schema.path('cancellationReason').enumValues;
+
+// Confirm, cancel, complete or mark a reservation as a no-show
+router.post('/:id/:action(confirm|cancel|complete|no-show)', validate({
+  params: { ...idParams, action: { type: 'string', required: true, enum: Object.keys(TRANSITIONS) } },
+  body: { cancellationReason: { type: 'string', enum: CANCELLATION_REASONS } }
+}), reservationAccess(), idempotency(), async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const { id, action } = req.params;
+    const rule = TRANSITIONS[action];
+    const reason = rule.reason || req.body.cancellationReason;
+
+    if (rule.to === 'cancelled' && !reason) {
+      throw invalidField('body', 'cancellationReason', 'Cancellation reason is required');
+    }
+    // No-shows count towards blocking the customer, so they have to go through their own action
+    if (action === 'cancel' && reason === 'no_show') {
+      throw invalidField('body', 'cancellationReason', 'Use the no-show action to record a no-show');
+    }
+
+    const current = await Reservation.findById(id);
+    if (!current) {
+      throw new ApiError(404, 'Reservation not found');
+    }
+    if (!rule.from.includes(current.status)) {
+      throw new ApiError(409, `Cannot ${action} a ${current.status} reservation`);
+    }
+
+    const update = {
+      $set: { status: rule.to },
+      $push: { statusHistory: historyEntry(current.status, rule.to, { reason, by: req.user.username }) }
+    };
+    if (reason) {
+      update.$set.cancellationReason = reason;
+    }
+
+    // Confirmed orders hold their items in the day's stock until they are cancelled
+    if (rule.to === 'confirmed') {
+      const soldOut = await reserveStock(current);
+      if (soldOut) {
+        throw new ApiError(409, `${soldOut} is sold out for that day`, { code: 'OUT_OF_STOCK' });
+      }
+    }
+
+    // Only apply the change if nobody moved the reservation in the meantime
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: id, status: current.status },
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!reservation) {
+      if (rule.to === 'confirmed') {
+        await releaseStock(current);
+      }
+      throw new ApiError(409, 'Reservation status changed concurrently, please retry');
+    }
+    if (current.status === 'confirmed' && rule.to === 'cancelled') {
+      await releaseStock(reservation);
+    }
+    if (!ACTIVE_STATUSES.includes(rule.to)) {
+      await releaseSlot(reservation.branch, reservation.time);
+    }
+
+    await reservationEvents.record(reservation, 'status_changed', {
+      ...reservationEvents.requestActor(req),
+      changes: [{ field: 'status', from: current.status, to: rule.to }],
+      reason
+    });
+    if (action === 'complete') {
+      await customers.recordVisit(reservation);
+    } else if (action === 'no-show') {
+      await customers.recordNoShow(reservation);
+    }
+    if (ACTION_EVENTS[action]) {
+      await CustomerNotifier.notify(reservation, ACTION_EVENTS[action]);
+    }
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
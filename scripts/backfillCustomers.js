@@ -0,0 +1,59 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { Customer } = require('../models/customer');
+
+// Usage: node scripts/backfillCustomers.js
+// Builds customer profiles from existing live and archived reservations. Counts are
+// recomputed from scratch, so it is safe to re-run; blocks and flags are left alone.
+async function backfillCustomers() {
+  try {
+    await connectToDatabase();
+    const totals = Reservation.aggregate([
+      { $unionWith: { coll: Archive.collection.name } },
+      // Anonymized reservations no longer say whose they were
+      { $match: { anonymizedAt: { $exists: false }, phone: { $not: /^anon:/ } } },
+      {
+        $group: {
+          _id: '$phone',
+          names: { $addToSet: '$name' },
+          totalOrders: { $sum: 1 },
+          completedOrders: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          noShows: { $sum: { $cond: [{ $eq: ['$cancellationReason', 'no_show'] }, 1, 0] } },
+          lastVisitAt: { $max: { $cond: [{ $eq: ['$status', 'completed'] }, '$time', null] } }
+        }
+      }
+    ]).cursor();
+
+    let batch = [];
+    let count = 0;
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Customer.bulkWrite(batch);
+      count += batch.length;
+      batch = [];
+    };
+
+    for await (const { _id: phone, names, ...counts } of totals) {
+      batch.push({
+        updateOne: {
+          filter: { phone },
+          update: { $set: { ...counts, names: names.filter(Boolean) } },
+          upsert: true
+        }
+      });
+      if (batch.length >= 500) await flush();
+    }
+    await flush();
+    console.log(`Backfilled ${count} customer profiles`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfillCustomers();
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/db');
+const { User } = require('../models/user');
+const { hashPassword } = require('../utils/auth');
+
+// Usage: node scripts/createUser.js <username> <password> <role> [branch]
+async function createUser() {
+  const [username, password, role, branch] = process.argv.slice(2);
+  if (!username || !password || !role) {
+    console.error('Usage: node scripts/createUser.js <username> <password> <role> [branch]');
+    process.exit(1);
+  }
+
+  try {
+    await connectToDatabase();
+    const user = await User.create({ username, role, branch, passwordHash: await hashPassword(password) });
+    console.log(`Created ${user.role} ${user.username}`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+createUser();
@@ -0,0 +1,130 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { Customer } = require('../models/customer');
+const { normalizePhone } = require('../utils/phone');
+const { RECENT_NO_SHOWS_KEPT } = require('../utils/customers');
+
+const BATCH_SIZE = 500;
+
+// Phones not yet in E.164 form; anonymized ones are hashes and stay as they are
+const LEGACY_PHONE = { phone: { $type: 'string', $not: /^(\+|anon:)/ } };
+
+// Rewrite legacy phone numbers in a collection. Goes through the raw collection so
+// documents that fail today's validators are still updated. Returns the counts and
+// the IDs of documents whose number couldn't be understood.
+async function normalizeCollection(Model, dryRun) {
+  const result = { checked: 0, updated: 0, invalid: [] };
+  let batch = [];
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await Model.collection.bulkWrite(batch);
+    }
+    batch = [];
+  };
+
+  for await (const doc of Model.collection.find(LEGACY_PHONE, { projection: { phone: 1 } })) {
+    result.checked++;
+    const phone = normalizePhone(doc.phone, { allowForeign: true });
+    if (!phone) {
+      result.invalid.push(String(doc._id));
+      continue;
+    }
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { phone } } } });
+    result.updated++;
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return result;
+}
+
+// Both profiles' no-shows, oldest first, without repeats, trimmed as recordNoShow trims them
+function mergeNoShows(...lists) {
+  const times = new Set(lists.flatMap(list => (list || []).map(date => date.getTime())));
+  return [...times].sort((a, b) => a - b).slice(-RECENT_NO_SHOWS_KEPT).map(time => new Date(time));
+}
+
+// Customer phones are unique, so a legacy profile whose normalized number already
+// has a profile is merged into it. A block or flag on either profile carries over,
+// keeping whichever block runs longer.
+async function normalizeCustomers(dryRun) {
+  const result = { checked: 0, updated: 0, merged: 0, invalid: [] };
+
+  for await (const legacy of Customer.find(LEGACY_PHONE).lean().cursor()) {
+    result.checked++;
+    const phone = normalizePhone(legacy.phone, { allowForeign: true });
+    if (!phone) {
+      result.invalid.push(legacy.phone);
+      continue;
+    }
+
+    const existing = await Customer.findOne({ phone }).lean();
+    if (!existing) {
+      if (!dryRun) await Customer.updateOne({ _id: legacy._id }, { $set: { phone } });
+      result.updated++;
+      continue;
+    }
+
+    if (!dryRun) {
+      const update = {
+        $addToSet: { names: { $each: legacy.names || [] } },
+        $inc: {
+          totalOrders: legacy.totalOrders || 0,
+          completedOrders: legacy.completedOrders || 0,
+          noShows: legacy.noShows || 0
+        },
+        $set: { recentNoShows: mergeNoShows(existing.recentNoShows, legacy.recentNoShows) },
+        $max: {}
+      };
+      for (const field of ['lastVisitAt', 'flaggedAt']) {
+        if (legacy[field]) update.$max[field] = legacy[field];
+      }
+      if (legacy.blockedUntil && !(existing.blockedUntil >= legacy.blockedUntil)) {
+        update.$set.blockedUntil = legacy.blockedUntil;
+        update.$set.blockReason = legacy.blockReason;
+      }
+      if (Object.keys(update.$max).length === 0) delete update.$max;
+      await Customer.updateOne({ _id: existing._id }, update);
+      await Customer.deleteOne({ _id: legacy._id });
+    }
+    result.merged++;
+  }
+  return result;
+}
+
+function report(name, result) {
+  const merged = result.merged !== undefined ? `, ${result.merged} merged` : '';
+  console.log(`${name}: ${result.checked} legacy numbers, ${result.updated} normalized${merged}, ${result.invalid.length} invalid`);
+  if (result.invalid.length > 0) {
+    console.log(`  Could not normalize: ${result.invalid.join(', ')}`);
+  }
+}
+
+// Usage: node scripts/normalizePhones.js [--dry-run]
+// Rewrites phone numbers stored before E.164 (e.g. 9613123456) as +9613123456 in
+// live and archived reservations and customer profiles. Safe to re-run.
+async function normalizePhones() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await connectToDatabase();
+    if (dryRun) {
+      console.log('Dry run: nothing will be changed');
+    }
+    report('Reservations', await normalizeCollection(Reservation, dryRun));
+    report('Archive', await normalizeCollection(Archive, dryRun));
+    report('Customers', await normalizeCustomers(dryRun));
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  normalizePhones();
+}
+
+module.exports = { normalizeCustomers };
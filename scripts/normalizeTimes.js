@@ -0,0 +1,76 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../utils/db');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { Branch } = require('../models/branch');
+const { parseLegacyTime } = require('../utils/availability');
+
+const BATCH_SIZE = 500;
+const DEFAULT_TIMEZONE = 'Asia/Beirut';
+
+// Pickup times stored as text before they became dates
+const LEGACY_TIME = { time: { $type: 'string' } };
+
+// Rewrite legacy pickup times in a collection as dates. Goes through the raw
+// collection, since Mongoose can't load these documents. Returns the counts and
+// the IDs of documents whose time couldn't be understood; those are left as they are.
+async function normalizeCollection(Model, timezones, dryRun) {
+  const result = { checked: 0, updated: 0, invalid: [] };
+  let batch = [];
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await Model.collection.bulkWrite(batch);
+    }
+    batch = [];
+  };
+
+  for await (const doc of Model.collection.find(LEGACY_TIME, { projection: { time: 1, branch: 1, createdAt: 1 } })) {
+    result.checked++;
+    const time = parseLegacyTime(doc.time, {
+      createdAt: doc.createdAt,
+      timezone: timezones.get(doc.branch) || DEFAULT_TIMEZONE
+    });
+    if (!time) {
+      result.invalid.push(`${doc._id} ("${doc.time}")`);
+      continue;
+    }
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { time } } } });
+    result.updated++;
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return result;
+}
+
+function report(name, result) {
+  console.log(`${name}: ${result.checked} legacy pickup times, ${result.updated} converted, ${result.invalid.length} unreadable`);
+  if (result.invalid.length > 0) {
+    console.log(`  Could not read: ${result.invalid.join(', ')}`);
+  }
+}
+
+// Usage: node scripts/normalizeTimes.js [--dry-run]
+// Converts pickup times stored as text before they became dates (e.g. "8:00 PM")
+// in live and archived reservations. A bare time of day is read as the first such
+// time at the branch after the reservation was made. Safe to re-run.
+async function normalizeTimes() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    await connectToDatabase();
+    if (dryRun) {
+      console.log('Dry run: nothing will be changed');
+    }
+    const branches = await Branch.find().select('name timezone').lean();
+    const timezones = new Map(branches.map(branch => [branch.name, branch.timezone]));
+    report('Reservations', await normalizeCollection(Reservation, timezones, dryRun));
+    report('Archive', await normalizeCollection(Archive, timezones, dryRun));
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+normalizeTimes();
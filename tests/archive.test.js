@@ -0,0 +1,71 @@
+jest.mock('../utils/notificationManager', () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  flushOutbox: jest.fn().mockResolvedValue({ retried: 0 })
+}));
+
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { daysAgo, tokens, createReservation } = require('./helpers/fixtures');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { hashPhone } = require('../utils/privacy');
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(db.clear);
+
+// Archive a reservation the way older versions did, secrets included
+async function archive(overrides = {}) {
+  const { reservation } = await createReservation({ status: 'completed', createdAt: daysAgo(90) });
+  const raw = await Reservation.collection.findOne({ _id: reservation._id });
+  await Archive.collection.insertOne({ ...raw, otp: { hash: 'code-hash' }, archivedAt: daysAgo(30), archiveReason: 'age', originalCollection: 'reservations', ...overrides });
+  await Reservation.deleteOne({ _id: reservation._id });
+  return raw;
+}
+
+describe('archive', () => {
+  it('never returns access token or pickup code hashes', async () => {
+    const archived = await archive();
+
+    const list = await request(app).get('/api/archive').set('Authorization', tokens.admin).expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0]).not.toHaveProperty('accessTokenHash');
+    expect(list.body.data[0]).not.toHaveProperty('otp');
+
+    const one = await request(app).get(`/api/archive/${archived._id}`).set('Authorization', tokens.admin).expect(200);
+    expect(one.body).not.toHaveProperty('accessTokenHash');
+    expect(one.body).not.toHaveProperty('otp');
+  });
+
+  it('restores reservations to the live collection', async () => {
+    const archived = await archive();
+
+    const res = await request(app).post(`/api/archive/${archived._id}/restore`).set('Authorization', tokens.admin).expect(200);
+    expect(res.body).toMatchObject({ _id: String(archived._id), name: archived.name });
+    expect(await Archive.countDocuments()).toBe(0);
+  });
+
+  it('refuses to restore anonymized reservations', async () => {
+    const archived = await archive({ name: undefined, phone: 'anon:0123', anonymizedAt: daysAgo(1) });
+
+    await request(app).post(`/api/archive/${archived._id}/restore`).set('Authorization', tokens.admin).expect(409);
+    expect(await Reservation.countDocuments()).toBe(0);
+    expect(await Archive.countDocuments()).toBe(1);
+  });
+});
+
+describe('repeat customer report', () => {
+  it('counts a customer\'s anonymized archive and live reservations together', async () => {
+    const { reservation } = await createReservation();
+    await archive({ name: undefined, phone: hashPhone(reservation.phone), anonymizedAt: daysAgo(1) });
+
+    const res = await request(app)
+      .get('/api/reports/repeat-customers?source=all')
+      .set('Authorization', tokens.admin)
+      .expect(200);
+    expect(res.body).toMatchObject({ customers: 1, repeatCustomers: 1, repeatRate: 1 });
+    expect(res.body.top).toEqual([expect.objectContaining({ phone: reservation.phone, orders: 2 })]);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../utils/notificationManager', () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  flushOutbox: jest.fn().mockResolvedValue({ retried: 0 })
+}));
+
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { tokens } = require('./helpers/fixtures');
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(db.clear);
+
+const PASSWORD = 'correct horse battery';
+
+// Create a branch manager through the API and sign in as them
+async function signedInManager(username) {
+  const { body: created } = await request(app)
+    .post('/api/auth/users')
+    .set('Authorization', tokens.admin)
+    .send({ username, password: PASSWORD, role: 'branch_manager', branch: 'Bliss' })
+    .expect(201);
+  const { body: login } = await request(app).post('/api/auth/login').send({ username, password: PASSWORD }).expect(200);
+  return { id: created._id, token: `Bearer ${login.token}` };
+}
+
+const changeUser = (id, changes) => request(app)
+  .put(`/api/auth/users/${id}`)
+  .set('Authorization', tokens.admin)
+  .send(changes)
+  .expect(200);
+
+describe('staff tokens', () => {
+  it('stop working once the account is deactivated', async () => {
+    const manager = await signedInManager('deactivated');
+    await request(app).get('/api/auth/me').set('Authorization', manager.token).expect(200);
+
+    await changeUser(manager.id, { active: false });
+    await request(app).get('/api/auth/me').set('Authorization', manager.token).expect(401);
+  });
+
+  it('stop working when the role or branch changes', async () => {
+    const manager = await signedInManager('moved');
+
+    await changeUser(manager.id, { branch: 'Clemenceau' });
+    await request(app).get('/api/reservations?branch=Bliss').set('Authorization', manager.token).expect(401);
+
+    const { body: login } = await request(app).post('/api/auth/login').send({ username: 'moved', password: PASSWORD }).expect(200);
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.token}`).expect(200);
+    expect(me.body.branch).toBe('Clemenceau');
+  });
+
+  it('keep working through unrelated logins', async () => {
+    const manager = await signedInManager('steady');
+    await request(app).post('/api/auth/login').send({ username: 'steady', password: PASSWORD }).expect(200);
+
+    await request(app).get('/api/auth/me').set('Authorization', manager.token).expect(200);
+  });
+});
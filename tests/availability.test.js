@@ -0,0 +1,21 @@
+const { parseLegacyTime } = require('../utils/availability');
+
+describe('parseLegacyTime', () => {
+  // 12:00 in Beirut
+  const options = { createdAt: new Date('2024-05-03T09:00:00Z'), timezone: 'Asia/Beirut' };
+
+  it.each([
+    ['8:00 PM', '2024-05-03T17:00:00.000Z'],
+    ['8pm', '2024-05-03T17:00:00.000Z'],
+    ['20:00', '2024-05-03T17:00:00.000Z'],
+    ['8:00 a.m.', '2024-05-04T05:00:00.000Z'],
+    ['2024-05-04 13:30', '2024-05-04T10:30:00.000Z'],
+    ['2024-05-04T10:00:00Z', '2024-05-04T10:00:00.000Z']
+  ])('reads %s as %s', (input, expected) => {
+    expect(parseLegacyTime(input, options).toISOString()).toBe(expected);
+  });
+
+  it.each(['25:00', '13 PM', 'tomorrow', 'noon', '2024-05-04'])('cannot read %s', input => {
+    expect(parseLegacyTime(input, options)).toBeNull();
+  });
+});
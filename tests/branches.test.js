@@ -0,0 +1,57 @@
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { tokens } = require('./helpers/fixtures');
+const { Branch } = require('../models/branch');
+const { ensureDefaultBranches } = require('../utils/branches');
+
+beforeAll(async () => {
+  await db.start();
+  await ensureDefaultBranches();
+});
+afterAll(db.stop);
+
+beforeEach(db.clear);
+
+describe('PUT /api/branches/:branch', () => {
+  it('lets a manager change their own branch hours and capacity', async () => {
+    const before = await Branch.findOne({ name: 'Bliss' }).lean();
+
+    try {
+      const res = await request(app)
+        .put('/api/branches/Bliss')
+        .set('Authorization', tokens.blissManager)
+        .send({ maxPerSlot: 12 })
+        .expect(200);
+      expect(res.body.maxPerSlot).toBe(12);
+    } finally {
+      await Branch.updateOne({ name: 'Bliss' }, { maxPerSlot: before.maxPerSlot });
+    }
+  });
+
+  it.each([
+    ['active', false],
+    ['allowForeignPhones', true]
+  ])('only lets admins change %s', async (field, value) => {
+    const before = await Branch.findOne({ name: 'Bliss' }).lean();
+
+    const res = await request(app)
+      .put('/api/branches/Bliss')
+      .set('Authorization', tokens.blissManager)
+      .send({ [field]: value })
+      .expect(403);
+    expect(res.body.message).toBe(`Only admins can change ${field}`);
+    expect((await Branch.findOne({ name: 'Bliss' }).lean())[field]).toBe(before[field]);
+
+    try {
+      await request(app)
+        .put('/api/branches/Bliss')
+        .set('Authorization', tokens.admin)
+        .send({ [field]: value })
+        .expect(200);
+      expect((await Branch.findOne({ name: 'Bliss' }).lean())[field]).toBe(value);
+    } finally {
+      await Branch.updateOne({ name: 'Bliss' }, { [field]: before[field] });
+    }
+  });
+});
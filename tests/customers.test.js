@@ -0,0 +1,154 @@
+jest.mock('../utils/notificationManager', () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  flushOutbox: jest.fn().mockResolvedValue({ retried: 0 })
+}));
+
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { SLOT, slot, tokens, uniquePhone, createReservation, recordingProvider } = require('./helpers/fixtures');
+const { Customer } = require('../models/customer');
+const CustomerNotifier = require('../utils/customerNotifier');
+const { normalizeCustomers } = require('../scripts/normalizePhones');
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(async () => {
+  await db.clear();
+  CustomerNotifier.setProvider(recordingProvider());
+});
+
+const book = (phone, overrides = {}) => request(app).post('/api/reservations').send({
+  name: 'Rania',
+  phone,
+  branch: 'Bliss',
+  time: SLOT.toISOString(),
+  ...overrides
+});
+
+const act = (reservation, action) => request(app)
+  .post(`/api/reservations/${reservation._id}/${action}`)
+  .set('Authorization', tokens.admin);
+
+describe('customer profiles', () => {
+  it('builds a profile from the customer\'s reservations', async () => {
+    const phone = uniquePhone();
+    const first = await book(phone).expect(201);
+    await book(phone, { name: 'Rania K.', time: slot(1).toISOString() }).expect(201);
+    await act(first.body, 'confirm').expect(200);
+    await act(first.body, 'complete').expect(200);
+
+    const res = await request(app).get(`/api/customers/${phone}`).set('Authorization', tokens.admin).expect(200);
+    expect(res.body).toMatchObject({ phone, totalOrders: 2, completedOrders: 1, noShows: 0, lastVisitAt: SLOT.toISOString() });
+    expect(res.body.names.sort()).toEqual(['Rania', 'Rania K.']);
+  });
+
+  it('lists a customer\'s reservations within the manager\'s branch', async () => {
+    const phone = uniquePhone();
+    await createReservation({ phone, branch: 'Bliss' });
+    await createReservation({ phone, branch: 'Clemenceau' });
+
+    const admin = await request(app).get(`/api/customers/${phone}/reservations`).set('Authorization', tokens.admin).expect(200);
+    expect(admin.body.total).toBe(2);
+
+    const manager = await request(app).get(`/api/customers/${phone}/reservations`).set('Authorization', tokens.blissManager).expect(200);
+    expect(manager.body.data.map(reservation => reservation.branch)).toEqual(['Bliss']);
+  });
+
+  it('only shows branch managers customers who ordered at their branch', async () => {
+    const phone = uniquePhone();
+    await book(phone).expect(201);
+
+    await request(app).get(`/api/customers/${phone}`).set('Authorization', tokens.blissManager).expect(200);
+    await request(app).get(`/api/customers/${phone}`).set('Authorization', tokens.clemenceauManager).expect(404);
+    await request(app).get('/api/customers').set('Authorization', tokens.blissManager).expect(403);
+  });
+
+  it('is only available to staff', async () => {
+    await request(app).get(`/api/customers/${uniquePhone()}`).expect(401);
+    await request(app).get('/api/customers/12345').set('Authorization', tokens.admin).expect(400);
+    await request(app).get(`/api/customers/${uniquePhone()}`).set('Authorization', tokens.admin).expect(404);
+  });
+});
+
+describe('repeated no-shows', () => {
+  it('block the customer from booking until staff lift it', async () => {
+    const phone = uniquePhone();
+    for (let i = 0; i < 2; i++) {
+      const { reservation } = await createReservation({ phone, status: 'confirmed', time: slot(i) });
+      await act(reservation, 'no-show').expect(200);
+    }
+
+    const customer = await Customer.findOne({ phone }).lean();
+    expect(customer).toMatchObject({ noShows: 2, flaggedAt: expect.any(Date), blockedUntil: expect.any(Date) });
+
+    const blocked = await book(phone, { time: slot(4).toISOString() }).expect(403);
+    expect(blocked.body.code).toBe('CUSTOMER_BLOCKED');
+    expect(blocked.body.blockedUntil).toBe(customer.blockedUntil.toISOString());
+
+    // Staff can still take an order over the phone
+    await book(phone, { time: slot(4).toISOString() }).set('Authorization', tokens.admin).expect(201);
+
+    const listed = await request(app).get('/api/customers?blocked=true').set('Authorization', tokens.admin).expect(200);
+    expect(listed.body.data.map(profile => profile.phone)).toEqual([phone]);
+
+    await request(app).post(`/api/customers/${phone}/unblock`).set('Authorization', tokens.blissManager).expect(403);
+    await request(app).post(`/api/customers/${phone}/unblock`).set('Authorization', tokens.admin).expect(200);
+    await book(phone, { time: slot(5).toISOString() }).expect(201);
+  });
+
+  it('can only be recorded through the no-show action', async () => {
+    const { reservation } = await createReservation({ status: 'confirmed' });
+
+    const res = await act(reservation, 'cancel').send({ cancellationReason: 'no_show' }).expect(400);
+    expect(res.body.fields).toEqual([expect.objectContaining({ field: 'cancellationReason' })]);
+  });
+
+  it('does not block after a single no-show', async () => {
+    const phone = uniquePhone();
+    const { reservation } = await createReservation({ phone, status: 'confirmed' });
+    await act(reservation, 'no-show').expect(200);
+
+    await book(phone, { time: slot(1).toISOString() }).expect(201);
+  });
+});
+
+describe('migrate-phones', () => {
+  it('keeps blocks, flags and no-shows when merging a legacy profile', async () => {
+    const phone = uniquePhone();
+    const day = n => new Date(Date.UTC(2030, 0, n));
+    await Customer.create({
+      phone,
+      names: ['Rania'],
+      noShows: 1,
+      recentNoShows: [day(3)],
+      flaggedAt: day(1),
+      blockedUntil: day(20),
+      blockReason: 'earlier block'
+    });
+    await Customer.create({
+      phone: phone.slice(1),
+      names: ['Rania K.'],
+      noShows: 2,
+      recentNoShows: [day(2), day(5)],
+      flaggedAt: day(5),
+      blockedUntil: day(30),
+      blockReason: '2 no-shows within 90 days'
+    });
+
+    expect(await normalizeCustomers(false)).toMatchObject({ checked: 1, merged: 1 });
+
+    const customers = await Customer.find().lean();
+    expect(customers).toHaveLength(1);
+    expect(customers[0]).toMatchObject({
+      phone,
+      noShows: 3,
+      recentNoShows: [day(3), day(5)],
+      flaggedAt: day(5),
+      blockedUntil: day(30),
+      blockReason: '2 no-shows within 90 days'
+    });
+    expect(customers[0].names.sort()).toEqual(['Rania', 'Rania K.']);
+  });
+});
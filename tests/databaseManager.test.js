@@ -0,0 +1,221 @@
+jest.mock('../utils/notificationManager', () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  flushOutbox: jest.fn().mockResolvedValue({ retried: 0 })
+}));
+
+const db = require('./helpers/db');
+const { DAY_MS, createReservation, useFakeClock } = require('./helpers/fixtures');
+const DatabaseManager = require('../utils/databaseManager');
+const NotificationManager = require('../utils/notificationManager');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { ReservationEvent } = require('../models/reservationEvent');
+const { RetentionPolicy } = require('../models/retentionPolicy');
+const { Customer } = require('../models/customer');
+const { DEFAULT_POLICY } = require('../utils/retention');
+
+const NOW = new Date('2030-03-01T09:00:00Z');
+const before = days => new Date(NOW.getTime() - days * DAY_MS);
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(async () => {
+  await db.clear();
+  NotificationManager.notify.mockClear();
+  useFakeClock(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const statusOf = async id => {
+  const reservation = await Reservation.findById(id).lean();
+  return reservation ? reservation.status : null;
+};
+
+describe('cleanupOldReservations', () => {
+  it('deletes abandoned pending orders after a day and finished ones after 30 days', async () => {
+    const { reservation: stalePending } = await createReservation({ createdAt: before(2) });
+    const { reservation: freshPending } = await createReservation({ createdAt: before(0.5) });
+    const { reservation: oldCompleted } = await createReservation({ status: 'completed', createdAt: before(31) });
+    const { reservation: recentConfirmed } = await createReservation({ status: 'confirmed', createdAt: before(10) });
+
+    const total = await DatabaseManager.cleanupOldReservations();
+
+    expect(total).toBe(2);
+    expect(await statusOf(stalePending._id)).toBeNull();
+    expect(await statusOf(oldCompleted._id)).toBeNull();
+    expect(await statusOf(freshPending._id)).toBe('pending');
+    expect(await statusOf(recentConfirmed._id)).toBe('confirmed');
+
+    const events = await ReservationEvent.find({ type: 'deleted' });
+    expect(events).toHaveLength(2);
+    expect(events.every(event => event.actor === 'system:cleanup')).toBe(true);
+    expect(NotificationManager.notify).toHaveBeenCalledWith('Cleanup Completed', expect.any(String), expect.objectContaining({ severity: 'info' }));
+  });
+
+  it('leaves reservations alone until their pickup time has passed', async () => {
+    const { reservation: bookedAhead } = await createReservation({ createdAt: before(5), time: new Date(NOW.getTime() + 3 * DAY_MS) });
+    const { reservation: confirmedAhead } = await createReservation({ status: 'confirmed', createdAt: before(45), time: new Date(NOW.getTime() + DAY_MS) });
+
+    expect(await DatabaseManager.cleanupOldReservations()).toBe(0);
+    expect(await DatabaseManager.archiveReservations()).toBe(0);
+    expect(await statusOf(bookedAhead._id)).toBe('pending');
+    expect(await statusOf(confirmedAhead._id)).toBe('confirmed');
+  });
+
+  it('judges reservations with a legacy pickup time by their age alone', async () => {
+    const legacy = reservation => ({ ...reservation.toObject(), time: '8:00 PM' });
+    const { reservation: old } = await createReservation({ status: 'completed', createdAt: before(61) });
+    const { reservation: recent } = await createReservation({ status: 'completed', createdAt: before(10) });
+    await Reservation.deleteMany({});
+    await Reservation.collection.insertMany([legacy(old), legacy(recent)]);
+
+    expect(await DatabaseManager.archiveReservations()).toBe(1);
+    expect(await Archive.exists({ _id: old._id })).toBeTruthy();
+    expect(await Reservation.collection.countDocuments({ _id: recent._id })).toBe(1);
+  });
+
+  it('picks up reservations as they age past the window', async () => {
+    const { reservation } = await createReservation({ status: 'confirmed' });
+
+    expect(await DatabaseManager.cleanupOldReservations()).toBe(0);
+    expect(NotificationManager.notify).not.toHaveBeenCalled();
+
+    jest.setSystemTime(new Date(NOW.getTime() + 31 * DAY_MS));
+    expect(await DatabaseManager.cleanupOldReservations()).toBe(1);
+    expect(await statusOf(reservation._id)).toBeNull();
+  });
+
+  it('follows branch-specific rules in the stored policy', async () => {
+    await RetentionPolicy.create({
+      ...DEFAULT_POLICY,
+      rules: [...DEFAULT_POLICY.rules, { source: 'live', status: 'completed', branch: 'Bliss', afterDays: 90, action: 'delete' }]
+    });
+    const { reservation: bliss } = await createReservation({ branch: 'Bliss', status: 'completed', createdAt: before(31) });
+    const { reservation: clemenceau } = await createReservation({ branch: 'Clemenceau', status: 'completed', createdAt: before(31) });
+
+    expect(await DatabaseManager.cleanupOldReservations()).toBe(1);
+    expect(await statusOf(bliss._id)).toBe('completed');
+    expect(await statusOf(clemenceau._id)).toBeNull();
+  });
+
+  it('drops customer profiles once none of their reservations are left', async () => {
+    const { reservation: gone } = await createReservation({ status: 'completed', createdAt: before(31) });
+    const { reservation: kept } = await createReservation({ status: 'completed', createdAt: before(10) });
+    const { reservation: noShow } = await createReservation({ status: 'cancelled', createdAt: before(31) });
+    await Customer.create([
+      { phone: gone.phone, names: [gone.name] },
+      { phone: kept.phone, names: [kept.name] },
+      { phone: noShow.phone, names: [noShow.name], noShows: 1, recentNoShows: [before(31)] }
+    ]);
+
+    await DatabaseManager.cleanupOldReservations();
+
+    const remaining = await Customer.find().distinct('phone');
+    expect(remaining.sort()).toEqual([kept.phone, noShow.phone].sort());
+  });
+
+  it('anonymizes archived reservations after a year', async () => {
+    const { reservation } = await createReservation({ status: 'completed', createdAt: before(400) });
+    await Archive.create({ ...reservation.toObject(), archivedAt: before(300), archiveReason: 'age', originalCollection: 'reservations' });
+    await Reservation.deleteOne({ _id: reservation._id });
+
+    expect(await DatabaseManager.cleanupOldReservations()).toBe(1);
+    const archived = await Archive.findById(reservation._id).lean();
+    expect(archived.anonymizedAt).toEqual(NOW);
+    expect(archived.name).not.toBe(reservation.name);
+    expect(archived.phone).not.toBe(reservation.phone);
+  });
+});
+
+describe('archiveReservations', () => {
+  it('moves reservations older than 60 days into the archive', async () => {
+    const { reservation: old } = await createReservation({ status: 'completed', createdAt: before(61), otp: { hash: 'code-hash', expiresAt: before(60) } });
+    const { reservation: recent } = await createReservation({ status: 'completed', createdAt: before(20) });
+
+    expect(await DatabaseManager.archiveReservations()).toBe(1);
+
+    expect(await statusOf(old._id)).toBeNull();
+    expect(await statusOf(recent._id)).toBe('completed');
+    const archived = await Archive.findById(old._id).lean();
+    expect(archived).toMatchObject({ archiveReason: 'age', originalCollection: 'reservations', name: old.name });
+    const raw = await Archive.collection.findOne({ _id: old._id });
+    expect(raw).not.toHaveProperty('accessTokenHash');
+    expect(raw).not.toHaveProperty('otp');
+    expect(await ReservationEvent.countDocuments({ reservation: old._id, type: 'archived', actor: 'system:archive' })).toBe(1);
+  });
+});
+
+describe('getStats', () => {
+  it('reports storage against the policy limit', async () => {
+    await createReservation();
+
+    const stats = await DatabaseManager.getStats();
+    expect(stats.storageLimitMB).toBe(DEFAULT_POLICY.storageLimitMB);
+    expect(parseFloat(stats.usagePercentage)).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('monitorHealth', () => {
+  const usage = storageInMB => jest.spyOn(DatabaseManager, 'getStats').mockResolvedValue({
+    sizeInMB: storageInMB.toFixed(2),
+    storageInMB: storageInMB.toFixed(2),
+    indexSizeInMB: '1.00',
+    storageLimitMB: 512,
+    freeStorageMB: (512 - storageInMB).toFixed(2),
+    usagePercentage: ((storageInMB / 512) * 100).toFixed(1)
+  });
+
+  it('stays quiet below the warning threshold', async () => {
+    usage(100);
+
+    const result = await DatabaseManager.monitorHealth();
+    expect(result.alerts).toEqual({ warning: false, critical: false, emergency: false });
+    expect(NotificationManager.notify).not.toHaveBeenCalled();
+  });
+
+  it('warns from 68% of the limit', async () => {
+    usage(360);
+
+    const result = await DatabaseManager.monitorHealth();
+    expect(result.alerts).toEqual({ warning: true, critical: false, emergency: false });
+    expect(NotificationManager.notify).toHaveBeenCalledWith(
+      'WARNING: Database Usage Alert',
+      expect.stringContaining('360.00MB of 512MB'),
+      expect.objectContaining({ severity: 'warning', key: 'db-storage-warning' })
+    );
+  });
+
+  it('raises a critical alert from 78% of the limit', async () => {
+    usage(410);
+
+    await DatabaseManager.monitorHealth();
+    expect(NotificationManager.notify).toHaveBeenCalledWith(
+      'CRITICAL: High Database Usage',
+      expect.any(String),
+      expect.objectContaining({ severity: 'critical', key: 'db-storage-critical' })
+    );
+  });
+
+  it('runs an emergency cleanup and archive from 88% of the limit', async () => {
+    usage(460);
+    const cleanup = jest.spyOn(DatabaseManager, 'cleanupOldReservations');
+    const archive = jest.spyOn(DatabaseManager, 'archiveReservations');
+    const { reservation } = await createReservation({ createdAt: before(2) });
+
+    const result = await DatabaseManager.monitorHealth();
+    expect(result.alerts.emergency).toBe(true);
+    expect(NotificationManager.notify).toHaveBeenCalledWith(
+      'EMERGENCY: Database Near Capacity',
+      expect.any(String),
+      expect.objectContaining({ severity: 'critical', key: 'db-storage-emergency' })
+    );
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(archive).toHaveBeenCalledTimes(1);
+    expect(await statusOf(reservation._id)).toBeNull();
+  });
+});
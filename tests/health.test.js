@@ -0,0 +1,24 @@
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { tokens } = require('./helpers/fixtures');
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+describe('GET /api/health', () => {
+  it('only tells the public whether the database works', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+    expect(Object.keys(res.body.mongodb).sort()).toEqual(['latencyMs', 'ok', 'state']);
+    expect(res.body.mongodb).toMatchObject({ ok: true, state: 'connected' });
+  });
+
+  it('shows admins the connection details', async () => {
+    const manager = await request(app).get('/api/health').set('Authorization', tokens.blissManager).expect(200);
+    expect(manager.body.mongodb).not.toHaveProperty('replicaSet');
+
+    const admin = await request(app).get('/api/health').set('Authorization', tokens.admin).expect(200);
+    expect(admin.body.mongodb).toMatchObject({ ok: true, readyState: 1, replicaSet: null });
+    expect(admin.body.mongodb).toHaveProperty('lastError');
+  });
+});
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { connectToDatabase, disconnectFromDatabase } = require('../../utils/db');
+const { seedUsers } = require('./fixtures');
+
+// Branches and the test accounts are seeded once per run and left alone; everything
+// else is wiped between tests
+const KEEP_COLLECTIONS = ['branches', 'users'];
+
+let server;
+
+async function start() {
+  server = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = server.getUri('xndoughs-test');
+  await connectToDatabase();
+  // Unique and TTL indexes must exist before tests rely on them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  await seedUsers();
+}
+
+async function clear() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections
+    .filter(collection => !KEEP_COLLECTIONS.includes(collection.collectionName))
+    .map(collection => collection.deleteMany({})));
+}
+
+async function stop() {
+  await disconnectFromDatabase();
+  if (server) await server.stop();
+}
+
+module.exports = {
+  start,
+  clear,
+  stop
+};
@@ -0,0 +1,9 @@
+// Loaded before every test file, ahead of any application module
+process.env.JWT_SECRET = 'test-secret';
+process.env.OTP_SECRET = 'test-otp-secret';
+process.env.PRIVACY_SALT = 'test-salt';
+process.env.DISABLE_SCHEDULER = 'true';
+process.env.RATE_LIMIT_IP_PER_HOUR = '1000';
+process.env.RATE_LIMIT_PHONE_PER_HOUR = '1000';
+delete process.env.CHALLENGE_PROVIDER;
+delete process.env.VERCEL;
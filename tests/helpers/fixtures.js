@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { Reservation } = require('../../models/reservation');
+const { User } = require('../../models/user');
+const { signToken, createAccessToken } = require('../../utils/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A Monday far enough ahead to always be in the future; 12:00 in Beirut
+const SLOT = new Date('2030-01-07T10:00:00Z');
+const slot = (offset = 0) => new Date(SLOT.getTime() + offset * 30 * 60 * 1000);
+
+const daysAgo = (days, now = new Date()) => new Date(now.getTime() - days * DAY_MS);
+
+// Accounts behind the test tokens; seeded once per run by the db helper, since
+// tokens are only accepted for active accounts
+const user = fields => ({ _id: new mongoose.Types.ObjectId(), passwordHash: 'not-a-real-hash', ...fields });
+const users = {
+  admin: user({ username: 'admin', role: 'admin' }),
+  blissManager: user({ username: 'bliss', role: 'branch_manager', branch: 'Bliss' }),
+  clemenceauManager: user({ username: 'clemenceau', role: 'branch_manager', branch: 'Clemenceau' }),
+  customer: user({ username: 'someone', role: 'customer' })
+};
+
+const tokens = Object.fromEntries(Object.entries(users).map(([key, account]) => [key, `Bearer ${signToken(account)}`]));
+
+function seedUsers() {
+  return User.insertMany(Object.values(users));
+}
+
+let phoneCounter = 0;
+// A valid Lebanese mobile number, in E.164 form, not used by any other fixture in the run
+const uniquePhone = () => `+96171${String(++phoneCounter).padStart(6, '0')}`;
+
+// Insert a reservation directly, bypassing the API. Resolves with the saved
+// document and the customer access token for it.
+async function createReservation(overrides = {}) {
+  const { token, hash } = createAccessToken();
+  const reservation = await Reservation.create({
+    name: 'Test Customer',
+    phone: uniquePhone(),
+    branch: 'Bliss',
+    time: SLOT,
+    accessTokenHash: hash,
+    ...overrides
+  });
+  return { reservation, token };
+}
+
+// Records customer messages instead of sending them
+function recordingProvider() {
+  const sent = [];
+  return {
+    name: 'test',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: `test-${sent.length}` };
+    }
+  };
+}
+
+// Fake only Date, so database drivers and timers keep running normally
+function useFakeClock(now) {
+  jest.useFakeTimers({
+    now,
+    doNotFake: [
+      'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'requestAnimationFrame', 'cancelAnimationFrame',
+      'requestIdleCallback', 'cancelIdleCallback', 'setImmediate', 'clearImmediate',
+      'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+    ]
+  });
+}
+
+module.exports = {
+  DAY_MS,
+  SLOT,
+  slot,
+  daysAgo,
+  users,
+  tokens,
+  seedUsers,
+  uniquePhone,
+  createReservation,
+  recordingProvider,
+  useFakeClock
+};
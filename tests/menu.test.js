@@ -0,0 +1,168 @@
+jest.mock('../utils/notificationManager', () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  flushOutbox: jest.fn().mockResolvedValue({ retried: 0 })
+}));
+
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { SLOT, tokens, uniquePhone, recordingProvider } = require('./helpers/fixtures');
+const { MenuItem } = require('../models/menuItem');
+const { MenuStock } = require('../models/menuStock');
+const CustomerNotifier = require('../utils/customerNotifier');
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(async () => {
+  await db.clear();
+  CustomerNotifier.setProvider(recordingProvider());
+});
+
+const createItem = (overrides = {}) => MenuItem.create({
+  name: 'Glazed',
+  price: { lbp: 90000, usd: 1.1 },
+  ...overrides
+});
+
+const order = (items, overrides = {}) => request(app).post('/api/reservations').send({
+  name: 'Rania',
+  phone: uniquePhone(),
+  branch: 'Bliss',
+  time: SLOT.toISOString(),
+  items,
+  ...overrides
+});
+
+const reservedOn = async (item, date = '2030-01-07') => {
+  const counter = await MenuStock.findOne({ item: item._id, branch: 'Bliss', date }).lean();
+  return counter ? counter.reserved : 0;
+};
+
+describe('/api/menu', () => {
+  it('lets admins manage the menu', async () => {
+    const created = await request(app)
+      .post('/api/menu')
+      .set('Authorization', tokens.admin)
+      .send({ name: 'Pistachio', price: { lbp: 135000, usd: 1.5 }, branches: ['Bliss'], dailyStock: 40 })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/menu/${created.body._id}`)
+      .set('Authorization', tokens.admin)
+      .send({ price: { lbp: 150000, usd: 1.7 } })
+      .expect(200);
+    await request(app).delete(`/api/menu/${created.body._id}`).set('Authorization', tokens.admin).expect(200);
+
+    const item = await MenuItem.findById(created.body._id).lean();
+    expect(item).toMatchObject({ price: { lbp: 150000, usd: 1.7 }, active: false });
+  });
+
+  it('is read-only for everyone else', async () => {
+    await request(app).post('/api/menu').send({ name: 'Plain', price: { lbp: 1, usd: 1 } }).expect(401);
+    await request(app)
+      .post('/api/menu')
+      .set('Authorization', tokens.blissManager)
+      .send({ name: 'Plain', price: { lbp: 1, usd: 1 } })
+      .expect(403);
+  });
+
+  it('rejects unknown branches and duplicate names', async () => {
+    await createItem();
+    await request(app)
+      .post('/api/menu')
+      .set('Authorization', tokens.admin)
+      .send({ name: 'Plain', price: { lbp: 1, usd: 1 }, branches: ['Nowhere'] })
+      .expect(400);
+    await request(app)
+      .post('/api/menu')
+      .set('Authorization', tokens.admin)
+      .send({ name: 'Glazed', price: { lbp: 1, usd: 1 } })
+      .expect(409);
+  });
+
+  it('lists what a branch sells and how much is left on a day', async () => {
+    const glazed = await createItem({ dailyStock: 10 });
+    await createItem({ name: 'Clemenceau Special', branches: ['Clemenceau'] });
+    await createItem({ name: 'Retired', active: false });
+    await MenuStock.create({ item: glazed._id, branch: 'Bliss', date: '2030-01-07', reserved: 4 });
+
+    const res = await request(app).get('/api/menu?branch=Bliss&date=2030-01-07').expect(200);
+    expect(res.body).toEqual([expect.objectContaining({ name: 'Glazed', remaining: 6 })]);
+  });
+});
+
+describe('ordering menu items', () => {
+  it('prices line items and totals on the server', async () => {
+    const glazed = await createItem();
+    const boston = await createItem({ name: 'Boston Cream', price: { lbp: 112500, usd: 1.25 } });
+
+    const res = await order([
+      { item: String(glazed._id), quantity: 2 },
+      { item: String(boston._id), quantity: 3 },
+      { item: String(glazed._id), quantity: 1 }
+    ]).expect(201);
+
+    expect(res.body.items).toEqual([
+      expect.objectContaining({ name: 'Glazed', quantity: 3, lineTotal: { lbp: 270000, usd: 3.3 } }),
+      expect.objectContaining({ name: 'Boston Cream', quantity: 3, lineTotal: { lbp: 337500, usd: 3.75 } })
+    ]);
+    expect(res.body.total).toEqual({ lbp: 607500, usd: 7.05 });
+  });
+
+  it('rejects items that are not sold at the branch or not on the menu', async () => {
+    const special = await createItem({ name: 'Clemenceau Special', branches: ['Clemenceau'] });
+
+    const unavailable = await order([{ item: String(special._id), quantity: 1 }]).expect(400);
+    expect(unavailable.body.fields).toEqual([expect.objectContaining({ field: 'items[0].item' })]);
+    await order([{ item: '65a000000000000000000000', quantity: 1 }]).expect(400);
+  });
+
+  it('rejects more than is left for the day', async () => {
+    const glazed = await createItem({ dailyStock: 5 });
+    await MenuStock.create({ item: glazed._id, branch: 'Bliss', date: '2030-01-07', reserved: 4 });
+
+    const res = await order([{ item: String(glazed._id), quantity: 2 }]).expect(400);
+    expect(res.body.fields).toEqual([expect.objectContaining({ field: 'items[0].quantity', message: 'Only 1 Glazed left for that day' })]);
+  });
+
+  it('takes stock on confirm and gives it back on cancel', async () => {
+    const glazed = await createItem({ dailyStock: 5 });
+    const first = await order([{ item: String(glazed._id), quantity: 3 }]).expect(201);
+    const second = await order([{ item: String(glazed._id), quantity: 3 }]).expect(201);
+
+    await request(app).post(`/api/reservations/${first.body._id}/confirm`).set('Authorization', tokens.admin).expect(200);
+    expect(await reservedOn(glazed)).toBe(3);
+
+    const soldOut = await request(app)
+      .post(`/api/reservations/${second.body._id}/confirm`)
+      .set('Authorization', tokens.admin)
+      .expect(409);
+    expect(soldOut.body.code).toBe('OUT_OF_STOCK');
+    expect(await reservedOn(glazed)).toBe(3);
+
+    await request(app)
+      .post(`/api/reservations/${first.body._id}/cancel`)
+      .set('Authorization', tokens.admin)
+      .send({ cancellationReason: 'customer_changed_mind' })
+      .expect(200);
+    expect(await reservedOn(glazed)).toBe(0);
+
+    await request(app).post(`/api/reservations/${second.body._id}/confirm`).set('Authorization', tokens.admin).expect(200);
+    expect(await reservedOn(glazed)).toBe(3);
+  });
+
+  it('moves a confirmed order\'s stock when its pickup day changes', async () => {
+    const glazed = await createItem({ dailyStock: 5 });
+    const created = await order([{ item: String(glazed._id), quantity: 2 }]).expect(201);
+    await request(app).post(`/api/reservations/${created.body._id}/confirm`).set('Authorization', tokens.admin).expect(200);
+
+    await request(app)
+      .put(`/api/reservations/${created.body._id}`)
+      .set('Authorization', tokens.admin)
+      .send({ time: new Date(SLOT.getTime() + 24 * 60 * 60 * 1000).toISOString() })
+      .expect(200);
+    expect(await reservedOn(glazed, '2030-01-07')).toBe(0);
+    expect(await reservedOn(glazed, '2030-01-08')).toBe(2);
+  });
+});
@@ -0,0 +1,31 @@
+const mockSent = [];
+jest.mock('../utils/alertTransports', () => ({
+  getTransports: () => [{
+    name: 'test',
+    accepts: () => true,
+    send: async alert => { mockSent.push(alert.subject); }
+  }]
+}));
+
+const db = require('./helpers/db');
+const NotificationManager = require('../utils/notificationManager');
+const { Alert } = require('../models/alert');
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(async () => {
+  await db.clear();
+  mockSent.length = 0;
+});
+
+describe('NotificationManager.notify', () => {
+  it('sends an alert raised in parallel only once per cooldown', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => NotificationManager.notify('Disk full', 'Usage at 95%', { key: 'disk' })));
+
+    expect(mockSent).toEqual(['Disk full']);
+    const alerts = await Alert.find().lean();
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].deliveries).toEqual([expect.objectContaining({ transport: 'test', status: 'sent' })]);
+  });
+});
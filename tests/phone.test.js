@@ -0,0 +1,53 @@
+const { parsePhone, normalizePhone, phoneSearchPrefix } = require('../utils/phone');
+
+describe('normalizePhone', () => {
+  it.each([
+    ['+961 3 123 456', '+9613123456'],
+    ['03123456', '+9613123456'],
+    ['03-123-456', '+9613123456'],
+    ['00961 3 123456', '+9613123456'],
+    ['9613123456', '+9613123456'],
+    ['+961 03 123 456', '+9613123456'],
+    ['70 123 456', '+96170123456'],
+    ['81123456', '+96181123456'],
+    ['01 345 678', '+9611345678'],
+    ['(09) 912 345', '+9619912345']
+  ])('reads %s as %s', (input, expected) => {
+    expect(normalizePhone(input)).toBe(expected);
+  });
+
+  it.each([
+    '3123',
+    '021234567',
+    '+961 2 123 456',
+    '+961 72 123 456',
+    '96112345678',
+    'call me',
+    ''
+  ])('rejects %s', input => {
+    expect(normalizePhone(input)).toBeNull();
+  });
+
+  it('only accepts foreign numbers when allowed', () => {
+    expect(normalizePhone('+33 6 12 34 56 78')).toBeNull();
+    expect(normalizePhone('+33 6 12 34 56 78', { allowForeign: true })).toBe('+33612345678');
+    expect(normalizePhone('0033612345678', { allowForeign: true })).toBe('+33612345678');
+    expect(normalizePhone('+1 23', { allowForeign: true })).toBeNull();
+  });
+});
+
+describe('parsePhone', () => {
+  it('tells mobiles from landlines', () => {
+    expect(parsePhone('03 123 456')).toEqual({ phone: '+9613123456', lebanese: true, type: 'mobile' });
+    expect(parsePhone('07 123 456')).toEqual({ phone: '+9617123456', lebanese: true, type: 'landline' });
+    expect(parsePhone('+1 212 555 0100')).toEqual({ phone: '+12125550100', lebanese: false, type: null });
+  });
+});
+
+describe('phoneSearchPrefix', () => {
+  it('turns partial numbers into stored prefixes', () => {
+    expect(phoneSearchPrefix('03 12')).toBe('+961312');
+    expect(phoneSearchPrefix('961 70')).toBe('+96170');
+    expect(phoneSearchPrefix('+44 20')).toBe('+4420');
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../utils/notificationManager', () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  flushOutbox: jest.fn().mockResolvedValue({ retried: 0 })
+}));
+
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { SLOT, slot, tokens, uniquePhone, recordingProvider } = require('./helpers/fixtures');
+const { Reservation } = require('../models/reservation');
+const { ReservationEvent } = require('../models/reservationEvent');
+const { Customer } = require('../models/customer');
+const { IdempotencyKey } = require('../models/idempotencyKey');
+const CustomerNotifier = require('../utils/customerNotifier');
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(async () => {
+  await db.clear();
+  CustomerNotifier.setProvider(recordingProvider());
+});
+
+const book = (phone, key, overrides = {}) => request(app)
+  .post('/api/reservations')
+  .set('Idempotency-Key', key)
+  .send({ name: 'Rania', phone, branch: 'Bliss', time: SLOT.toISOString(), ...overrides });
+
+describe('DELETE /api/privacy/subjects/:phone', () => {
+  it('erases the customer\'s reservations, their IP addresses and stored responses', async () => {
+    const phone = uniquePhone();
+    const erased = await book(phone, 'order-1').expect(201);
+    const kept = await book(uniquePhone(), 'order-2', { time: slot(1).toISOString() }).expect(201);
+
+    const res = await request(app)
+      .delete(`/api/privacy/subjects/${encodeURIComponent(phone)}`)
+      .set('Authorization', tokens.admin)
+      .send({ reference: 'ticket-1' })
+      .expect(200);
+    expect(res.body.counts).toMatchObject({ reservations: 1, archived: 0 });
+
+    expect(await Reservation.exists({ _id: erased.body._id })).toBeNull();
+    expect(await Customer.exists({ phone })).toBeNull();
+
+    const history = await ReservationEvent.find({ reservation: erased.body._id }).sort({ at: 1 }).lean();
+    expect(history.map(event => event.type)).toEqual(['created', 'erased']);
+    history.forEach(event => expect(event).not.toHaveProperty('ip'));
+    expect((await ReservationEvent.findOne({ reservation: kept.body._id }).lean()).ip).toEqual(expect.any(String));
+
+    const keys = await IdempotencyKey.find().lean();
+    expect(keys.map(record => record.key)).toEqual(['order-2']);
+    expect(JSON.stringify(keys)).not.toContain(phone);
+  });
+});
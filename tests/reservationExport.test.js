@@ -0,0 +1,42 @@
+const { Writable } = require('stream');
+const { writeCsv, writeXlsx } = require('../utils/reservationExport');
+
+// A response whose client stops reading after the first chunk
+const stalledResponse = () => new Writable({
+  highWaterMark: 1,
+  write(chunk, encoding, callback) {
+    this.chunks = (this.chunks || 0) + 1;
+    if (this.chunks === 1) callback();
+  }
+});
+
+// Yields documents until the writer stops asking, recording whether it was closed
+function documents(state) {
+  return (async function* () {
+    try {
+      for (let i = 0; i < 1000; i++) {
+        state.read = i + 1;
+        yield { _id: `id-${i}`, name: 'Rania', phone: '+9613123456', branch: 'Bliss', time: new Date(), status: 'pending' };
+      }
+    } finally {
+      state.closed = true;
+    }
+  })();
+}
+
+describe.each([
+  ['writeCsv', writeCsv],
+  ['writeXlsx', writeXlsx]
+])('%s', (name, write) => {
+  it('stops reading and closes the source when the client disconnects', async () => {
+    const res = stalledResponse();
+    const state = {};
+    const writing = write(res, documents(state), ['id', 'name', 'phone'], {});
+
+    setTimeout(() => res.destroy(), 50);
+    await writing;
+
+    expect(state.closed).toBe(true);
+    expect(state.read).toBeLessThan(1000);
+  });
+});
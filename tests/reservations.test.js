@@ -0,0 +1,539 @@
+jest.mock('../utils/notificationManager', () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  flushOutbox: jest.fn().mockResolvedValue({ retried: 0 })
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../api/index');
+const db = require('./helpers/db');
+const { SLOT, slot, daysAgo, tokens, uniquePhone, createReservation, recordingProvider } = require('./helpers/fixtures');
+const { Reservation } = require('../models/reservation');
+const { ReservationEvent } = require('../models/reservationEvent');
+const { Branch } = require('../models/branch');
+const { IdempotencyKey } = require('../models/idempotencyKey');
+const CustomerNotifier = require('../utils/customerNotifier');
+
+let messages;
+
+beforeAll(db.start);
+afterAll(db.stop);
+
+beforeEach(async () => {
+  await db.clear();
+  messages = recordingProvider();
+  CustomerNotifier.setProvider(messages);
+});
+
+const newReservation = (overrides = {}) => ({
+  name: 'Rania',
+  phone: uniquePhone(),
+  branch: 'Bliss',
+  time: SLOT.toISOString(),
+  ...overrides
+});
+
+describe('POST /api/reservations', () => {
+  it('creates a pending reservation and returns its access token once', async () => {
+    const body = newReservation();
+    const res = await request(app).post('/api/reservations').send(body).expect(201);
+
+    expect(res.body).toMatchObject({ name: 'Rania', phone: body.phone, branch: 'Bliss', status: 'pending' });
+    expect(res.body.accessToken).toEqual(expect.any(String));
+    expect(res.body).not.toHaveProperty('accessTokenHash');
+
+    const events = await ReservationEvent.find({ reservation: res.body._id });
+    expect(events.map(event => event.type)).toEqual(['created']);
+    expect(messages.sent).toEqual([expect.objectContaining({ to: body.phone })]);
+
+    const fetched = await request(app)
+      .get(`/api/reservations/${res.body._id}`)
+      .set('X-Reservation-Token', res.body.accessToken)
+      .expect(200);
+    expect(fetched.body).not.toHaveProperty('accessToken');
+  });
+
+  it('reports every invalid field in one validation error', async () => {
+    const res = await request(app)
+      .post('/api/reservations')
+      .send({ phone: '123', branch: 'Bliss', time: 'tomorrow' })
+      .expect(400);
+
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.fields.map(field => field.field).sort()).toEqual(['name', 'phone', 'time']);
+    expect(res.body.fields.every(field => field.location === 'body')).toBe(true);
+  });
+
+  it('stores phone numbers in E.164 form however they are typed', async () => {
+    const res = await request(app).post('/api/reservations').send(newReservation({ phone: '03 123 456' })).expect(201);
+    expect(res.body.phone).toBe('+9613123456');
+
+    const duplicate = await request(app).post('/api/reservations').send(newReservation({ phone: '+961 3 123-456' })).expect(200);
+    expect(duplicate.body).toMatchObject({ _id: res.body._id, duplicate: true });
+  });
+
+  it('only takes foreign numbers at branches that allow them', async () => {
+    const res = await request(app).post('/api/reservations').send(newReservation({ phone: '+44 7700 900123' })).expect(400);
+    expect(res.body.fields).toEqual([expect.objectContaining({ field: 'phone', message: 'Bliss only takes Lebanese phone numbers' })]);
+
+    await Branch.updateOne({ name: 'Bliss' }, { allowForeignPhones: true });
+    const allowed = await request(app).post('/api/reservations').send(newReservation({ phone: '+44 7700 900123' })).expect(201);
+    expect(allowed.body.phone).toBe('+447700900123');
+    await Branch.updateOne({ name: 'Bliss' }, { allowForeignPhones: false });
+  });
+
+  it('ignores server-managed fields sent by the client', async () => {
+    const res = await request(app)
+      .post('/api/reservations')
+      .send(newReservation({ status: 'confirmed' }))
+      .expect(201);
+    expect(res.body.status).toBe('pending');
+  });
+
+  it('rejects pickup times outside opening hours or in the past', async () => {
+    await request(app).post('/api/reservations').send(newReservation({ time: '2030-01-07T05:00:00Z' })).expect(400);
+    await request(app).post('/api/reservations').send(newReservation({ time: '2020-01-06T10:00:00Z' })).expect(400);
+  });
+
+  it('rejects a full pickup slot', async () => {
+    await Promise.all(Array.from({ length: 6 }, () => createReservation({ branch: 'Kfarehbeb' })));
+    const res = await request(app)
+      .post('/api/reservations')
+      .send(newReservation({ branch: 'Kfarehbeb' }))
+      .expect(409);
+    expect(res.body.message).toMatch(/full/);
+  });
+
+  it('gives concurrent bookings only as many places as the slot has', async () => {
+    const responses = await Promise.all(Array.from({ length: 10 }, () =>
+      request(app).post('/api/reservations').send(newReservation({ branch: 'Kfarehbeb' }))));
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(6);
+    expect(responses.filter(res => res.status === 409)).toHaveLength(4);
+    expect(await Reservation.countDocuments({ branch: 'Kfarehbeb' })).toBe(6);
+  });
+
+  it('frees a place in the slot when a reservation is cancelled or moved', async () => {
+    await Promise.all(Array.from({ length: 4 }, () => createReservation({ branch: 'Kfarehbeb' })));
+    const { body: cancelled } = await request(app).post('/api/reservations').send(newReservation({ branch: 'Kfarehbeb' })).expect(201);
+    const { body: moved } = await request(app).post('/api/reservations').send(newReservation({ branch: 'Kfarehbeb' })).expect(201);
+    await request(app).post('/api/reservations').send(newReservation({ branch: 'Kfarehbeb' })).expect(409);
+
+    await request(app)
+      .post(`/api/reservations/${cancelled._id}/cancel`)
+      .set('Authorization', tokens.admin)
+      .send({ cancellationReason: 'customer_changed_mind' })
+      .expect(200);
+    await request(app)
+      .put(`/api/reservations/${moved._id}`)
+      .set('Authorization', tokens.admin)
+      .send({ time: slot(1).toISOString() })
+      .expect(200);
+
+    await request(app).post('/api/reservations').send(newReservation({ branch: 'Kfarehbeb' })).expect(201);
+    await request(app).post('/api/reservations').send(newReservation({ branch: 'Kfarehbeb' })).expect(201);
+    await request(app).post('/api/reservations').send(newReservation({ branch: 'Kfarehbeb' })).expect(409);
+  });
+
+  it('returns the existing reservation when the same order is resubmitted', async () => {
+    const body = newReservation();
+    const first = await request(app).post('/api/reservations').send(body).expect(201);
+    const second = await request(app).post('/api/reservations').send(body).expect(200);
+
+    expect(second.body).toEqual({ _id: first.body._id, status: 'pending', duplicate: true });
+    expect(await Reservation.countDocuments()).toBe(1);
+  });
+
+  it('caps the pending reservations a phone number can hold', async () => {
+    const phone = uniquePhone();
+    for (let i = 0; i < 3; i++) {
+      await createReservation({ phone, time: slot(i) });
+    }
+
+    const res = await request(app).post('/api/reservations').send(newReservation({ phone, time: slot(3).toISOString() })).expect(429);
+    expect(res.body.code).toBe('TOO_MANY_PENDING');
+
+    // Staff taking orders by phone are exempt
+    await request(app)
+      .post('/api/reservations')
+      .set('Authorization', tokens.admin)
+      .send(newReservation({ phone, time: slot(3).toISOString() }))
+      .expect(201);
+  });
+
+  it('replays the first response for a repeated Idempotency-Key with a new access token', async () => {
+    const body = newReservation();
+    const first = await request(app).post('/api/reservations').set('Idempotency-Key', 'order-1').send(body).expect(201);
+    const replay = await request(app).post('/api/reservations').set('Idempotency-Key', 'order-1').send(body).expect(201);
+
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    const { accessToken, ...firstWithoutToken } = first.body;
+    const { accessToken: replayedToken, ...replayWithoutToken } = replay.body;
+    expect(accessToken).toEqual(expect.any(String));
+    expect(replayedToken).toEqual(expect.any(String));
+    expect(replayedToken).not.toBe(accessToken);
+    expect(replayWithoutToken).toEqual(firstWithoutToken);
+    expect(JSON.stringify(await IdempotencyKey.find().lean())).not.toContain(accessToken);
+    expect(await Reservation.countDocuments()).toBe(1);
+
+    // The replayed token is the one that now opens the reservation
+    await request(app)
+      .get(`/api/reservations/${first.body._id}`)
+      .set('X-Reservation-Token', replayedToken)
+      .expect(200);
+    await request(app)
+      .get(`/api/reservations/${first.body._id}`)
+      .set('X-Reservation-Token', accessToken)
+      .expect(403);
+
+    const reused = await request(app)
+      .post('/api/reservations')
+      .set('Idempotency-Key', 'order-1')
+      .send({ ...body, name: 'Someone else' })
+      .expect(422);
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
+
+describe('GET /api/reservations', () => {
+  it('requires a staff token', async () => {
+    await request(app).get('/api/reservations').expect(401);
+    await request(app).get('/api/reservations').set('Authorization', tokens.customer).expect(403);
+  });
+
+  it('pages through reservations', async () => {
+    for (let i = 0; i < 3; i++) {
+      await createReservation({ time: slot(i) });
+    }
+
+    const res = await request(app)
+      .get('/api/reservations?limit=2&page=2')
+      .set('Authorization', tokens.admin)
+      .expect(200);
+    expect(res.body).toMatchObject({ page: 2, limit: 2, total: 3, totalPages: 2 });
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  it('only shows managers their own branch', async () => {
+    await createReservation({ branch: 'Bliss' });
+    await createReservation({ branch: 'Clemenceau' });
+
+    const res = await request(app).get('/api/reservations').set('Authorization', tokens.blissManager).expect(200);
+    expect(res.body.data.map(reservation => reservation.branch)).toEqual(['Bliss']);
+  });
+
+  it('filters by status', async () => {
+    await createReservation({ status: 'pending' });
+    await createReservation({ status: 'confirmed' });
+
+    const res = await request(app).get('/api/reservations?status=confirmed').set('Authorization', tokens.admin).expect(200);
+    expect(res.body.data.map(reservation => reservation.status)).toEqual(['confirmed']);
+  });
+
+  it('rejects invalid paging parameters', async () => {
+    const res = await request(app).get('/api/reservations?limit=0').set('Authorization', tokens.admin).expect(400);
+    expect(res.body.fields).toEqual([expect.objectContaining({ location: 'query', field: 'limit' })]);
+  });
+});
+
+describe('GET /api/reservations/status/:status and /branch/:branch', () => {
+  it('lists reservations by status within the manager\'s branch', async () => {
+    await createReservation({ branch: 'Bliss' });
+    await createReservation({ branch: 'Clemenceau' });
+
+    const res = await request(app).get('/api/reservations/status/pending').set('Authorization', tokens.blissManager).expect(200);
+    expect(res.body).toHaveLength(1);
+    await request(app).get('/api/reservations/status/lost').set('Authorization', tokens.admin).expect(400);
+  });
+
+  it('lists reservations by branch', async () => {
+    await createReservation({ branch: 'Bliss' });
+
+    const res = await request(app).get('/api/reservations/branch/Bliss').set('Authorization', tokens.blissManager).expect(200);
+    expect(res.body).toHaveLength(1);
+    await request(app).get('/api/reservations/branch/Bliss').set('Authorization', tokens.clemenceauManager).expect(403);
+    await request(app).get('/api/reservations/branch/Nowhere').set('Authorization', tokens.admin).expect(404);
+  });
+});
+
+describe('GET /api/reservations/:id', () => {
+  it('is readable by staff of the branch and by the customer with the access token', async () => {
+    const { reservation, token } = await createReservation();
+
+    await request(app).get(`/api/reservations/${reservation._id}`).set('Authorization', tokens.blissManager).expect(200);
+    await request(app).get(`/api/reservations/${reservation._id}`).set('X-Reservation-Token', token).expect(200);
+    await request(app).get(`/api/reservations/${reservation._id}`).set('Authorization', tokens.clemenceauManager).expect(403);
+    await request(app).get(`/api/reservations/${reservation._id}`).set('X-Reservation-Token', 'wrong').expect(403);
+    await request(app).get(`/api/reservations/${reservation._id}`).expect(401);
+  });
+
+  it('returns 404 for unknown IDs and 400 for malformed ones', async () => {
+    await request(app).get('/api/reservations/65a000000000000000000000').set('Authorization', tokens.admin).expect(404);
+    const res = await request(app).get('/api/reservations/not-an-id').set('Authorization', tokens.admin).expect(400);
+    expect(res.body.fields).toEqual([expect.objectContaining({ location: 'params', field: 'id' })]);
+  });
+});
+
+describe('PUT /api/reservations/:id', () => {
+  it('updates editable fields and records what changed', async () => {
+    const { reservation } = await createReservation();
+
+    const res = await request(app)
+      .put(`/api/reservations/${reservation._id}`)
+      .set('Authorization', tokens.blissManager)
+      .send({ name: 'Rania K.', time: slot(1).toISOString() })
+      .expect(200);
+    expect(res.body).toMatchObject({ name: 'Rania K.', time: slot(1).toISOString() });
+
+    const event = await ReservationEvent.findOne({ reservation: reservation._id, type: 'updated' });
+    expect(event.actor).toBe('bliss');
+    expect(event.changes.map(change => change.field).sort()).toEqual(['name', 'time']);
+  });
+
+  it('refuses status changes and unknown fields', async () => {
+    const { reservation } = await createReservation();
+
+    const res = await request(app)
+      .put(`/api/reservations/${reservation._id}`)
+      .set('Authorization', tokens.admin)
+      .send({ status: 'confirmed', colour: 'red' })
+      .expect(400);
+    expect(res.body.fields.map(field => field.field).sort()).toEqual(['colour', 'status']);
+  });
+
+  it('refuses to edit a finished reservation', async () => {
+    const { reservation } = await createReservation({ status: 'cancelled' });
+
+    await request(app)
+      .put(`/api/reservations/${reservation._id}`)
+      .set('Authorization', tokens.admin)
+      .send({ name: 'Too late' })
+      .expect(409);
+  });
+
+  it('refuses to move a reservation to an inactive branch', async () => {
+    const { reservation } = await createReservation();
+    await Branch.updateOne({ name: 'Kfarehbeb' }, { active: false });
+
+    try {
+      const res = await request(app)
+        .put(`/api/reservations/${reservation._id}`)
+        .set('Authorization', tokens.admin)
+        .send({ branch: 'Kfarehbeb' })
+        .expect(400);
+      expect(res.body.code).toBe('BRANCH_INACTIVE');
+      expect((await Reservation.findById(reservation._id)).branch).toBe('Bliss');
+    } finally {
+      await Branch.updateOne({ name: 'Kfarehbeb' }, { active: true });
+    }
+  });
+});
+
+describe('status actions', () => {
+  it('confirms a pending reservation and messages the customer', async () => {
+    const { reservation } = await createReservation();
+
+    const res = await request(app)
+      .post(`/api/reservations/${reservation._id}/confirm`)
+      .set('Authorization', tokens.blissManager)
+      .expect(200);
+    expect(res.body.status).toBe('confirmed');
+    expect(res.body.statusHistory).toEqual([expect.objectContaining({ from: 'pending', to: 'confirmed', by: 'bliss' })]);
+    expect(messages.sent).toHaveLength(1);
+  });
+
+  it('requires a reason to cancel', async () => {
+    const { reservation } = await createReservation();
+
+    const missing = await request(app)
+      .post(`/api/reservations/${reservation._id}/cancel`)
+      .set('Authorization', tokens.admin)
+      .expect(400);
+    expect(missing.body.fields).toEqual([expect.objectContaining({ field: 'cancellationReason' })]);
+
+    const res = await request(app)
+      .post(`/api/reservations/${reservation._id}/cancel`)
+      .set('Authorization', tokens.admin)
+      .send({ cancellationReason: 'customer_changed_mind' })
+      .expect(200);
+    expect(res.body).toMatchObject({ status: 'cancelled', cancellationReason: 'customer_changed_mind' });
+  });
+
+  it('rejects transitions the current status does not allow', async () => {
+    const { reservation } = await createReservation();
+
+    await request(app).post(`/api/reservations/${reservation._id}/complete`).set('Authorization', tokens.admin).expect(409);
+  });
+
+  it('records no-shows as cancellations', async () => {
+    const { reservation } = await createReservation({ status: 'confirmed' });
+
+    const res = await request(app)
+      .post(`/api/reservations/${reservation._id}/no-show`)
+      .set('Authorization', tokens.admin)
+      .expect(200);
+    expect(res.body).toMatchObject({ status: 'cancelled', cancellationReason: 'no_show' });
+  });
+
+  it('keeps the full history of a reservation', async () => {
+    const created = await request(app).post('/api/reservations').send(newReservation()).expect(201);
+    const id = created.body._id;
+    await request(app).post(`/api/reservations/${id}/confirm`).set('Authorization', tokens.admin).expect(200);
+    await request(app).post(`/api/reservations/${id}/complete`).set('Authorization', tokens.admin).expect(200);
+
+    const res = await request(app).get(`/api/reservations/${id}/history`).set('Authorization', tokens.admin).expect(200);
+    expect(res.body.map(event => event.type)).toEqual(['created', 'status_changed', 'status_changed']);
+    await request(app).get(`/api/reservations/${id}/history`).set('Authorization', tokens.clemenceauManager).expect(404);
+  });
+});
+
+describe('pickup codes', () => {
+  it('confirms the reservation once the right code is entered', async () => {
+    const { reservation, token } = await createReservation();
+
+    const issued = await request(app)
+      .post(`/api/reservations/${reservation._id}/otp`)
+      .set('X-Reservation-Token', token)
+      .expect(201);
+    expect(issued.body).not.toHaveProperty('code');
+    const [code] = messages.sent[0].body.match(/\d{6}/);
+    const wrongCode = String((Number(code[0]) + 1) % 10) + code.slice(1);
+
+    const wrong = await request(app)
+      .post(`/api/reservations/${reservation._id}/verify`)
+      .set('X-Reservation-Token', token)
+      .send({ code: wrongCode })
+      .expect(400);
+    expect(wrong.body.code).toBe('INVALID_CODE');
+    expect(wrong.body.attemptsRemaining).toEqual(expect.any(Number));
+
+    const res = await request(app)
+      .post(`/api/reservations/${reservation._id}/verify`)
+      .set('X-Reservation-Token', token)
+      .send({ code })
+      .expect(200);
+    expect(res.body.status).toBe('confirmed');
+    expect(res.body).not.toHaveProperty('otp');
+  });
+
+  it('keeps counting failed attempts when a new code is issued', async () => {
+    const { reservation, token } = await createReservation();
+    const issue = () => request(app)
+      .post(`/api/reservations/${reservation._id}/otp`)
+      .set('X-Reservation-Token', token)
+      .expect(201);
+    const guess = () => request(app)
+      .post(`/api/reservations/${reservation._id}/verify`)
+      .set('X-Reservation-Token', token)
+      .send({ code: '000000' });
+
+    await issue();
+    const first = await guess();
+    await issue();
+    const second = await guess();
+    expect(second.body.attemptsRemaining).toBe(first.body.attemptsRemaining - 1);
+  });
+
+  it('does not let parallel guesses past the attempt limit', async () => {
+    const { reservation, token } = await createReservation();
+    await request(app).post(`/api/reservations/${reservation._id}/otp`).set('X-Reservation-Token', token).expect(201);
+    const [code] = messages.sent[0].body.match(/\d{6}/);
+    const wrongCode = String((Number(code[0]) + 1) % 10) + code.slice(1);
+
+    const responses = await Promise.all(Array.from({ length: 10 }, () => request(app)
+      .post(`/api/reservations/${reservation._id}/verify`)
+      .set('X-Reservation-Token', token)
+      .send({ code: wrongCode })));
+
+    expect(responses.filter(res => res.status === 400)).toHaveLength(4);
+    expect(responses.filter(res => res.status === 423)).toHaveLength(6);
+    const stored = await Reservation.findById(reservation._id).select('+otp').lean();
+    expect(stored.otp.attempts).toBe(5);
+    expect(stored.otp.hash).toBeUndefined();
+  });
+});
+
+describe('DELETE /api/reservations/old', () => {
+  it('deletes what the retention policy marks as expired', async () => {
+    const { reservation: stalePending } = await createReservation({ createdAt: daysAgo(2), time: daysAgo(1) });
+    const { reservation: freshPending } = await createReservation({ createdAt: daysAgo(0.5), time: daysAgo(0.25) });
+    const { reservation: oldCompleted } = await createReservation({ status: 'completed', createdAt: daysAgo(31), time: daysAgo(30) });
+    // Booked long ago, but the pickup hasn't happened yet
+    await createReservation({ createdAt: daysAgo(40) });
+
+    await request(app).delete('/api/reservations/old').set('Authorization', tokens.blissManager).expect(403);
+
+    const dryRun = await request(app).delete('/api/reservations/old?dryRun=true').set('Authorization', tokens.admin).expect(200);
+    expect(dryRun.body.count).toBe(2);
+    expect(await Reservation.countDocuments()).toBe(4);
+
+    const res = await request(app).delete('/api/reservations/old').set('Authorization', tokens.admin).expect(200);
+    expect(res.body.count).toBe(2);
+    const remaining = await Reservation.find({ _id: { $ne: freshPending._id } }).lean();
+    expect(remaining.map(reservation => reservation.time)).toEqual([SLOT]);
+
+    const deleted = await ReservationEvent.find({ type: 'deleted' }).distinct('reservation');
+    expect(deleted.map(String).sort()).toEqual([String(stalePending._id), String(oldCompleted._id)].sort());
+  });
+});
+
+describe('GET /api/reservations/feed', () => {
+  it('returns events after the given cursor for the manager\'s branch', async () => {
+    const first = await request(app).get('/api/reservations/feed').set('Authorization', tokens.blissManager).expect(200);
+    expect(first.body.data).toEqual([]);
+
+    await request(app).post('/api/reservations').send(newReservation()).expect(201);
+    await request(app).post('/api/reservations').send(newReservation({ branch: 'Clemenceau' })).expect(201);
+
+    const res = await request(app)
+      .get('/api/reservations/feed')
+      .query({ since: new Date(Date.now() - 60000).toISOString() })
+      .set('Authorization', tokens.blissManager)
+      .expect(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ type: 'created', branch: 'Bliss' })]);
+    expect(res.body.lastEventId).toBe(res.body.data[0].id);
+  });
+
+  it('resumes by sequence number, whatever clock made the event ID', async () => {
+    const created = await request(app).post('/api/reservations').send(newReservation()).expect(201);
+    const first = await request(app).get('/api/reservations/feed').set('Authorization', tokens.blissManager).expect(200);
+    const cursor = first.body.lastEventId;
+    expect(cursor).toMatch(/^\d+$/);
+
+    // Recorded by an instance whose clock is far behind
+    await ReservationEvent.create({
+      _id: mongoose.Types.ObjectId.createFromTime(0),
+      reservation: created.body._id,
+      branch: 'Bliss',
+      type: 'updated',
+      actor: 'bliss',
+      seq: Number(cursor) + 1
+    });
+
+    const res = await request(app)
+      .get('/api/reservations/feed')
+      .query({ since: cursor })
+      .set('Authorization', tokens.blissManager)
+      .expect(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ id: String(Number(cursor) + 1), type: 'updated' })]);
+  });
+});
+
+describe('reminders', () => {
+  it('tries failed reminders again, up to the attempt limit', async () => {
+    const soon = new Date(Date.now() + 30 * 60 * 1000);
+    const attempt = status => ({ event: 'reminder', provider: 'test', status, at: new Date() });
+    const { reservation } = await createReservation({ status: 'confirmed', time: soon });
+    await createReservation({ status: 'confirmed', time: soon, notifications: [attempt('failed'), attempt('failed'), attempt('failed')] });
+    await createReservation({ status: 'confirmed', time: soon, notifications: [attempt('failed'), attempt('sent')] });
+
+    CustomerNotifier.setProvider({ name: 'test', async send() { throw new Error('Provider unavailable'); } });
+    expect(await CustomerNotifier.sendReminders()).toEqual({ due: 1, sent: 0 });
+
+    CustomerNotifier.setProvider(messages);
+    expect(await CustomerNotifier.sendReminders()).toEqual({ due: 1, sent: 1 });
+    expect(messages.sent).toEqual([expect.objectContaining({ to: reservation.phone })]);
+
+    expect(await CustomerNotifier.sendReminders()).toEqual({ due: 0, sent: 0 });
+  });
+});
@@ -0,0 +1,33 @@
+const { Reservation } = require('../models/reservation');
+
+const MAX_PENDING_PER_PHONE = parseInt(process.env.MAX_PENDING_PER_PHONE || '3');
+const DUPLICATE_WINDOW_MINUTES = parseInt(process.env.DUPLICATE_WINDOW_MINUTES || '10');
+
+// A live reservation for the same phone, branch and pickup time placed within the
+// duplicate window, i.e. a resubmission rather than a new order
+function findDuplicate({ phone, branch, time }) {
+  return Reservation.findOne({
+    phone,
+    branch,
+    time,
+    status: { $in: ['pending', 'confirmed'] },
+    createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MINUTES * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+}
+
+// Returns { status, message } when the phone number already has too many open pending reservations
+async function pendingLimitError(phone) {
+  const pending = await Reservation.countDocuments({ phone, status: 'pending', time: { $gte: new Date() } });
+  if (pending >= MAX_PENDING_PER_PHONE) {
+    return {
+      status: 429,
+      message: `This phone number already has ${pending} pending reservations; confirm or cancel one first`
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  findDuplicate,
+  pendingLimitError
+};
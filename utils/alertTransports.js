@@ -0,0 +1,163 @@
+const nodemailer = require('nodemailer');
+
+const SEVERITY_LEVELS = {
+  info: 0,
+  warning: 1,
+  critical: 2
+};
+
+// Each transport sends alerts at or above its minimum severity and throws when delivery fails
+class Transport {
+  constructor(name, minSeverity) {
+    this.name = name;
+    this.minSeverity = SEVERITY_LEVELS[minSeverity] !== undefined ? minSeverity : 'info';
+  }
+
+  accepts(severity) {
+    return SEVERITY_LEVELS[severity] >= SEVERITY_LEVELS[this.minSeverity];
+  }
+}
+
+// How long to wait for a webhook before counting the alert as failed
+const REQUEST_TIMEOUT_MS = 10000;
+
+async function postJson(url, payload, service) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${service} webhook failed: ${response.status} ${response.statusText}`);
+  }
+}
+
+// Emails the admin; by default only for critical alerts
+class EmailTransport extends Transport {
+  constructor() {
+    super('email', process.env.EMAIL_MIN_SEVERITY || 'critical');
+    this.transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+      }
+    });
+  }
+
+  async send({ subject, message }) {
+    await this.transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: process.env.ADMIN_EMAIL,
+      subject: `XNDoughs Alert: ${subject}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; padding: 20px;">
+          <h2 style="color: #e11d48;">XNDoughs Database Alert</h2>
+          <div style="background-color: #f3f4f6; padding: 15px; border-radius: 5px;">
+            <p><strong>${subject}</strong></p>
+            <p>${message}</p>
+          </div>
+          <p style="color: #6b7280; font-size: 0.875rem; margin-top: 20px;">
+            This is an automated message from your XNDoughs Database Management System
+          </p>
+        </div>
+      `
+    });
+  }
+}
+
+class DiscordTransport extends Transport {
+  constructor() {
+    super('discord', process.env.DISCORD_MIN_SEVERITY || 'info');
+    this.url = process.env.DISCORD_WEBHOOK_URL;
+  }
+
+  async send({ subject, message, severity }) {
+    const colors = { info: 3066993, warning: 15844367, critical: 15158332 }; // Green, yellow, red
+    await postJson(this.url, {
+      embeds: [{
+        title: subject,
+        description: message,
+        color: colors[severity],
+        timestamp: new Date().toISOString()
+      }]
+    }, 'Discord');
+  }
+}
+
+class SlackTransport extends Transport {
+  constructor() {
+    super('slack', process.env.SLACK_MIN_SEVERITY || 'info');
+    this.url = process.env.SLACK_WEBHOOK_URL;
+  }
+
+  async send({ subject, message, severity }) {
+    await postJson(this.url, { text: `*[${severity.toUpperCase()}] ${subject}*\n${message}` }, 'Slack');
+  }
+}
+
+// Posts the raw alert as JSON, for anything else that wants to receive alerts
+class WebhookTransport extends Transport {
+  constructor() {
+    super('webhook', process.env.ALERT_WEBHOOK_MIN_SEVERITY || 'info');
+    this.url = process.env.ALERT_WEBHOOK_URL;
+  }
+
+  async send({ key, subject, message, severity, createdAt }) {
+    await postJson(this.url, { key, subject, message, severity, createdAt }, 'Alert');
+  }
+}
+
+// A transport is enabled when its settings are present; ALERT_TRANSPORTS can narrow the list
+const REGISTRY = {
+  email: {
+    Transport: EmailTransport,
+    configured: () => Boolean(process.env.EMAIL_USER && process.env.EMAIL_PASSWORD && process.env.ADMIN_EMAIL)
+  },
+  discord: {
+    Transport: DiscordTransport,
+    configured: () => Boolean(process.env.DISCORD_WEBHOOK_URL)
+  },
+  slack: {
+    Transport: SlackTransport,
+    configured: () => Boolean(process.env.SLACK_WEBHOOK_URL)
+  },
+  webhook: {
+    Transport: WebhookTransport,
+    configured: () => Boolean(process.env.ALERT_WEBHOOK_URL)
+  }
+};
+
+let transports = null;
+
+function getTransports() {
+  if (!transports) {
+    const enabled = process.env.ALERT_TRANSPORTS
+      ? process.env.ALERT_TRANSPORTS.split(',').map(name => name.trim())
+      : Object.keys(REGISTRY);
+    transports = enabled
+      .filter(name => REGISTRY[name] && REGISTRY[name].configured())
+      .map(name => new REGISTRY[name].Transport());
+  }
+  return transports;
+}
+
+// Replace the configured transports, e.g. with stand-ins during tests
+function setTransports(customTransports) {
+  transports = customTransports;
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  Transport,
+  EmailTransport,
+  DiscordTransport,
+  SlackTransport,
+  WebhookTransport,
+  getTransports,
+  setTransports
+};
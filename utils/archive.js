@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Standalone servers (e.g. a local mongod) don't support transactions
+function transactionsUnsupported(error) {
+  return error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+}
+
+// Secrets that only matter while a pickup is upcoming; they are never copied into the archive
+const UNARCHIVED_FIELDS = ['accessTokenHash', 'otp'];
+
+// The archive copy of a raw reservation document, with the archive details added
+function toArchive(doc, details) {
+  const archived = { ...doc, ...details };
+  UNARCHIVED_FIELDS.forEach(field => delete archived[field]);
+  return archived;
+}
+
+// Move raw documents from one collection to another, keeping their _id.
+// Runs in a transaction where the server supports it. Without one, documents are
+// upserted by _id before they are deleted, so a crash part-way through leaves at
+// worst a copy in both places, which the next run resolves without duplicating.
+async function moveDocuments(SourceModel, TargetModel, docs) {
+  if (docs.length === 0) return 0;
+
+  const ids = docs.map(doc => doc._id);
+  const move = async session => {
+    await TargetModel.collection.bulkWrite(docs.map(doc => ({
+      replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true }
+    })), { session });
+    await SourceModel.collection.deleteMany({ _id: { $in: ids } }, { session });
+  };
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => move(session));
+  } catch (error) {
+    if (!transactionsUnsupported(error)) throw error;
+    await move();
+  } finally {
+    await session.endSession();
+  }
+  return docs.length;
+}
+
+module.exports = {
+  UNARCHIVED_FIELDS,
+  toArchive,
+  moveDocuments
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const STAFF_ROLES = ['admin', 'branch_manager'];
+const PASSWORD_ROUNDS = 12;
+
+function hashPassword(password) {
+  return bcrypt.hash(password, PASSWORD_ROUNDS);
+}
+
+function checkPassword(password, hash) {
+  return bcrypt.compare(password, hash);
+}
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+// Tokens carry the account's tokenVersion, which changes whenever its access does
+function signToken(user) {
+  return jwt.sign(
+    { username: user.username, role: user.role, branch: user.branch, ver: user.tokenVersion || 0 },
+    getSecret(),
+    { subject: String(user._id), expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+  );
+}
+
+// Returns the token's user, or null when the token is missing, expired or forged.
+// Only checks the signature; see authenticate in middleware/auth for the account checks.
+function verifyToken(token) {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return {
+      id: payload.sub,
+      username: payload.username,
+      role: payload.role,
+      branch: payload.branch,
+      tokenVersion: payload.ver || 0
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function isStaff(user) {
+  return Boolean(user) && STAFF_ROLES.includes(user.role);
+}
+
+function canAccessBranch(user, branch) {
+  if (!isStaff(user)) return false;
+  return user.role === 'admin' || user.branch === branch;
+}
+
+// Narrow a reservation query to the branch a manager is assigned to
+function scopeToBranch(user, query = {}) {
+  return user.role === 'branch_manager' ? { ...query, branch: user.branch } : query;
+}
+
+// Customers read their own reservation with a random token handed out once at creation
+function createAccessToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashAccessToken(token) };
+}
+
+function hashAccessToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function accessTokenMatches(token, hash) {
+  if (!token || !hash || typeof token !== 'string') return false;
+  const candidate = Buffer.from(hashAccessToken(token), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+module.exports = {
+  STAFF_ROLES,
+  hashPassword,
+  checkPassword,
+  signToken,
+  verifyToken,
+  isStaff,
+  canAccessBranch,
+  scopeToBranch,
+  createAccessToken,
+  accessTokenMatches
+};
@@ -0,0 +1,196 @@
+const { Reservation } = require('../models/reservation');
+const { SlotCount } = require('../models/slotCount');
+
+const DUPLICATE_KEY = 11000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Reservations that still take up room in a slot
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'completed'];
+
+// Minutes the given timezone is ahead of UTC at the given instant
+function timezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// Turn a wall-clock time at the branch (e.g. "2024-05-03", "20:30") into an absolute date
+function zonedDate(dateString, clock, timezone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = clock.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = timezoneOffset(new Date(guess), timezone);
+  const result = new Date(guess - offset * 60000);
+
+  // Re-check in case the guess landed on the other side of a DST change
+  const corrected = timezoneOffset(result, timezone);
+  return corrected === offset ? result : new Date(guess - corrected * 60000);
+}
+
+// The calendar date ("YYYY-MM-DD") of an instant, as seen at the branch
+function localDateString(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// Pickup times used to be stored as free text: a time of day ("8:00 PM", "20:00"),
+// a local date and time ("2024-05-03 20:30") or an ISO timestamp. Times of day are
+// taken as the first such time after the reservation was made, at the branch.
+// Returns the pickup as a Date, or null when the text can't be read.
+function parseLegacyTime(value, { createdAt, timezone }) {
+  const text = String(value).trim();
+
+  const clockMatch = /^(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?\s*m\.?)?$/i.exec(text);
+  if (clockMatch) {
+    let hours = Number(clockMatch[1]);
+    const minutes = Number(clockMatch[2] || 0);
+    const meridiem = clockMatch[3] && clockMatch[3].toLowerCase();
+    if (meridiem ? hours < 1 || hours > 12 : hours > 23) return null;
+    if (minutes > 59 || !(createdAt instanceof Date) || isNaN(createdAt)) return null;
+    if (meridiem) hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+
+    const clock = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    const pickup = zonedDate(localDateString(createdAt, timezone), clock, timezone);
+    if (pickup >= createdAt) return pickup;
+    const nextDay = new Date(pickup.getTime() + 24 * 60 * 60 * 1000);
+    return zonedDate(localDateString(nextDay, timezone), clock, timezone);
+  }
+
+  const localMatch = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(?::\d{2})?$/.exec(text);
+  if (localMatch) {
+    return isValidDateString(localMatch[1]) ? zonedDate(localMatch[1], localMatch[2], timezone) : null;
+  }
+
+  // Anything else only counts if it names its own timezone
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+  return null;
+}
+
+function isValidDateString(dateString) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString || '')) return false;
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(dateString);
+}
+
+// All pickup slots a branch offers on a given local date
+function getSlots(config, dateString) {
+  const weekday = WEEKDAYS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+  const hours = config.hours && config.hours[weekday];
+  if (!hours) return [];
+
+  const open = zonedDate(dateString, hours.open, config.timezone);
+  const close = zonedDate(dateString, hours.close, config.timezone);
+  const slotLength = config.slotMinutes * 60000;
+
+  const slots = [];
+  for (let start = open.getTime(); start + slotLength <= close.getTime(); start += slotLength) {
+    slots.push({ start: new Date(start), end: new Date(start + slotLength) });
+  }
+  return slots;
+}
+
+async function getAvailability(branch, config, dateString) {
+  const now = new Date();
+  const slots = getSlots(config, dateString).filter(slot => slot.start > now);
+  if (slots.length === 0) return [];
+
+  const counts = await Reservation.aggregate([
+    {
+      $match: {
+        branch,
+        status: { $in: ACTIVE_STATUSES },
+        time: { $gte: slots[0].start, $lte: slots[slots.length - 1].start }
+      }
+    },
+    { $group: { _id: '$time', count: { $sum: 1 } } }
+  ]);
+  const reservedBySlot = new Map(counts.map(entry => [entry._id.getTime(), entry.count]));
+
+  return slots.map(slot => {
+    const reserved = reservedBySlot.get(slot.start.getTime()) || 0;
+    return {
+      time: slot.start,
+      capacity: config.maxPerSlot,
+      reserved,
+      remaining: Math.max(config.maxPerSlot - reserved, 0)
+    };
+  });
+}
+
+// Check that a pickup time is an open, future slot. Room in the slot is taken
+// separately with takeSlot.
+// Returns null when the slot can be booked, otherwise an HTTP status and message.
+function validateSlot(branch, config, time) {
+  if (!(time instanceof Date) || isNaN(time)) {
+    return { status: 400, message: 'Pickup time must be a valid date-time' };
+  }
+  if (time <= new Date()) {
+    return { status: 400, message: 'Pickup time must be in the future' };
+  }
+
+  const slot = getSlots(config, localDateString(time, config.timezone))
+    .find(candidate => candidate.start.getTime() === time.getTime());
+  if (!slot) {
+    return { status: 400, message: `${branch} is not taking pickups at ${time.toISOString()}` };
+  }
+  return null;
+}
+
+// Create a slot's counter the first time it is booked, starting from the active
+// reservations already in it. If another request creates it first, theirs is kept.
+async function ensureSlotCount(branch, time) {
+  if (await SlotCount.exists({ branch, time })) return;
+
+  const reserved = await Reservation.countDocuments({ branch, time, status: { $in: ACTIVE_STATUSES } });
+  try {
+    await SlotCount.create({ branch, time, reserved });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+}
+
+// Take a place in a slot, refusing to go past its capacity. Resolves with false
+// when the slot is full. Concurrent bookings race on the counter's conditional
+// $inc, so only as many as there are places get one.
+async function takeSlot(branch, config, time) {
+  await ensureSlotCount(branch, time);
+  const result = await SlotCount.updateOne(
+    { branch, time, reserved: { $lt: config.maxPerSlot } },
+    { $inc: { reserved: 1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Give back a reservation's place when it is cancelled, moved or deleted
+async function releaseSlot(branch, time) {
+  await SlotCount.updateOne({ branch, time, reserved: { $gt: 0 } }, { $inc: { reserved: -1 } });
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  localDateString,
+  isValidDateString,
+  parseLegacyTime,
+  getSlots,
+  getAvailability,
+  validateSlot,
+  takeSlot,
+  releaseSlot
+};
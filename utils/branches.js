@@ -0,0 +1,48 @@
+const { Branch } = require('../models/branch');
+const defaultBranches = require('../config/branches');
+
+let seeding = null;
+
+// Populate an empty Branch collection with the original stores so existing
+// deployments keep working; after that branches are managed through the API.
+function ensureDefaultBranches() {
+  if (!seeding) {
+    seeding = Branch.estimatedDocumentCount()
+      .then(count => {
+        if (count > 0) return;
+        return Branch.bulkWrite(Object.entries(defaultBranches).map(([name, config]) => ({
+          updateOne: {
+            filter: { name },
+            update: { $setOnInsert: { name, ...config } },
+            upsert: true
+          }
+        })));
+      })
+      .catch(error => {
+        seeding = null;
+        throw error;
+      });
+  }
+  return seeding;
+}
+
+async function findBranch(name, { includeInactive = false } = {}) {
+  if (typeof name !== 'string') return null;
+  await ensureDefaultBranches();
+  const query = { name };
+  if (!includeInactive) {
+    query.active = true;
+  }
+  return Branch.findOne(query).lean();
+}
+
+async function listBranches({ includeInactive = false } = {}) {
+  await ensureDefaultBranches();
+  return Branch.find(includeInactive ? {} : { active: true }).sort({ name: 1 }).lean();
+}
+
+module.exports = {
+  ensureDefaultBranches,
+  findBranch,
+  listBranches
+};
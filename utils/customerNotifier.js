@@ -0,0 +1,95 @@
+const { Reservation } = require('../models/reservation');
+const { findBranch } = require('./branches');
+const { createProvider } = require('./messagingProviders');
+const { normalizePhone } = require('./phone');
+const templates = require('../config/messageTemplates');
+
+const REMINDER_MINUTES = parseInt(process.env.REMINDER_MINUTES || '60');
+// Failed reminders are tried again on later runs, up to this many attempts in all
+const REMINDER_ATTEMPTS = parseInt(process.env.REMINDER_ATTEMPTS || '3');
+
+let provider = null;
+
+class CustomerNotifier {
+  static getProvider() {
+    if (!provider) {
+      provider = createProvider();
+    }
+    return provider;
+  }
+
+  // Swap the provider, e.g. for a stand-in during tests
+  static setProvider(customProvider) {
+    provider = customProvider;
+  }
+
+  // `extra` carries event-specific values, e.g. the pickup code
+  static async renderMessage(reservation, event, extra = {}) {
+    const language = templates[reservation.language] ? reservation.language : 'en';
+    const branch = await findBranch(reservation.branch, { includeInactive: true });
+    const time = new Intl.DateTimeFormat(language === 'ar' ? 'ar-LB' : 'en-GB', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone: branch ? branch.timezone : 'Asia/Beirut'
+    }).format(reservation.time);
+
+    return templates[language][event]({ ...extra, name: reservation.name, branch: reservation.branch, time });
+  }
+
+  // Message the customer about a lifecycle event and record the outcome on the reservation.
+  // Never throws, so a failed message can't fail the request that triggered it.
+  static async notify(reservation, event, extra) {
+    const delivery = { event, at: new Date() };
+
+    try {
+      const body = await this.renderMessage(reservation, event, extra);
+      const activeProvider = this.getProvider();
+      delivery.provider = activeProvider.name;
+      // Reservations not yet migrated to E.164 still hold the bare 961… form
+      const to = normalizePhone(reservation.phone, { allowForeign: true }) || reservation.phone;
+      const { id } = await activeProvider.send({ to, body });
+      delivery.status = 'sent';
+      delivery.messageId = id;
+    } catch (error) {
+      console.error(`Error sending ${event} message for reservation ${reservation._id}:`, error);
+      delivery.status = 'failed';
+      delivery.error = error.message;
+    }
+
+    try {
+      await Reservation.updateOne({ _id: reservation._id }, { $push: { notifications: delivery } });
+    } catch (error) {
+      console.error('Error recording customer notification:', error);
+    }
+    return delivery;
+  }
+
+  // Remind customers whose confirmed pickup is coming up and who haven't been reminded yet
+  static async sendReminders() {
+    const now = new Date();
+    const reservations = await Reservation.find({
+      status: 'confirmed',
+      time: { $gt: now, $lte: new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000) },
+      notifications: { $not: { $elemMatch: { event: 'reminder', status: 'sent' } } },
+      $expr: {
+        $lt: [{
+          $size: {
+            $filter: {
+              input: { $ifNull: ['$notifications', []] },
+              cond: { $eq: ['$$this.event', 'reminder'] }
+            }
+          }
+        }, REMINDER_ATTEMPTS]
+      }
+    });
+
+    let sent = 0;
+    for (const reservation of reservations) {
+      const delivery = await this.notify(reservation, 'reminder');
+      if (delivery.status === 'sent') sent++;
+    }
+    return { due: reservations.length, sent };
+  }
+}
+
+module.exports = CustomerNotifier;
@@ -0,0 +1,138 @@
+const { Customer } = require('../models/customer');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_KEY = 11000;
+const BATCH_SIZE = 500;
+
+// This many no-shows within the window flags the customer; 0 turns detection off
+const NO_SHOW_LIMIT = parseInt(process.env.NO_SHOW_LIMIT || '2');
+const NO_SHOW_WINDOW_DAYS = parseInt(process.env.NO_SHOW_WINDOW_DAYS || '90');
+// How long a flagged customer can't place pending reservations; 0 only flags them
+const NO_SHOW_BLOCK_DAYS = parseInt(process.env.NO_SHOW_BLOCK_DAYS || '30');
+// recentNoShows only needs enough entries to tell whether the limit was reached
+const RECENT_NO_SHOWS_KEPT = Math.max(NO_SHOW_LIMIT, 1);
+
+// Apply an update to the profile for a phone number, creating it on first use.
+// Profiles follow reservation changes that have already happened, so a failure is
+// reported but never turned into a failed request.
+async function updateProfile(phone, update) {
+  try {
+    try {
+      return await Customer.findOneAndUpdate({ phone }, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first orders raced to create the profile; the loser just updates it
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return await Customer.findOneAndUpdate({ phone }, update, { new: true });
+    }
+  } catch (error) {
+    console.error('Error updating customer profile:', error);
+    return null;
+  }
+}
+
+function recordOrder(reservation) {
+  return updateProfile(reservation.phone, {
+    $addToSet: { names: reservation.name },
+    $inc: { totalOrders: 1 }
+  });
+}
+
+function recordVisit(reservation) {
+  return updateProfile(reservation.phone, {
+    $inc: { completedOrders: 1 },
+    $max: { lastVisitAt: reservation.time }
+  });
+}
+
+// Count a no-show, and flag (and unless configured otherwise, block) customers
+// who reach NO_SHOW_LIMIT of them within NO_SHOW_WINDOW_DAYS
+async function recordNoShow(reservation) {
+  const now = new Date();
+  const customer = await updateProfile(reservation.phone, {
+    $inc: { noShows: 1 },
+    $push: { recentNoShows: { $each: [now], $slice: -RECENT_NO_SHOWS_KEPT } }
+  });
+  if (!customer || NO_SHOW_LIMIT <= 0) return customer;
+
+  const windowStart = new Date(now.getTime() - NO_SHOW_WINDOW_DAYS * DAY_MS);
+  const repeated = customer.recentNoShows.length >= NO_SHOW_LIMIT && customer.recentNoShows[0] >= windowStart;
+  if (!repeated) return customer;
+
+  const flag = {
+    flaggedAt: now,
+    blockReason: `${customer.recentNoShows.length} no-shows within ${NO_SHOW_WINDOW_DAYS} days`
+  };
+  if (NO_SHOW_BLOCK_DAYS > 0) {
+    flag.blockedUntil = new Date(now.getTime() + NO_SHOW_BLOCK_DAYS * DAY_MS);
+  }
+  return updateProfile(reservation.phone, { $set: flag });
+}
+
+// Lift a block early. The no-shows that caused it are forgotten, so the next one
+// doesn't block the customer again straight away.
+function unblock(phone) {
+  return Customer.findOneAndUpdate(
+    { phone },
+    { $unset: { blockedUntil: '', blockReason: '' }, $set: { recentNoShows: [] } },
+    { new: true }
+  );
+}
+
+// Returns { status, message, blockedUntil } when the phone number is currently blocked
+async function blockedError(phone) {
+  const customer = await Customer.findOne({ phone, blockedUntil: { $gt: new Date() } }).lean();
+  if (!customer) return null;
+  return {
+    status: 403,
+    message: 'This phone number cannot place new reservations for now after repeated no-shows',
+    blockedUntil: customer.blockedUntil
+  };
+}
+
+// Delete the profiles of customers none of whose reservations carry their phone number
+// any more, i.e. retention has deleted or anonymized them all. Blocked customers and
+// those with a no-show inside the window are kept until that no longer counts.
+// Returns how many profiles were deleted.
+async function pruneProfiles(now = new Date()) {
+  const windowStart = new Date(now.getTime() - NO_SHOW_WINDOW_DAYS * DAY_MS);
+  const inactive = {
+    blockedUntil: { $not: { $gt: now } },
+    recentNoShows: { $not: { $gte: windowStart } }
+  };
+
+  let removed = 0;
+  let batch = [];
+  const flush = async () => {
+    const phones = batch;
+    batch = [];
+    const [live, archived] = await Promise.all([
+      Reservation.distinct('phone', { phone: { $in: phones } }),
+      Archive.distinct('phone', { phone: { $in: phones } })
+    ]);
+    const kept = new Set([...live, ...archived]);
+    const forgotten = phones.filter(phone => !kept.has(phone));
+    if (forgotten.length > 0) {
+      const result = await Customer.deleteMany({ ...inactive, phone: { $in: forgotten } });
+      removed += result.deletedCount;
+    }
+  };
+
+  for await (const customer of Customer.find(inactive).select('phone').lean().cursor()) {
+    batch.push(customer.phone);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  if (batch.length > 0) await flush();
+  return removed;
+}
+
+module.exports = {
+  RECENT_NO_SHOWS_KEPT,
+  pruneProfiles,
+  recordOrder,
+  recordVisit,
+  recordNoShow,
+  unblock,
+  blockedError
+};
@@ -1,16 +1,23 @@
 const mongoose = require('mongoose');
 const NotificationManager = require('./notificationManager');
+const { getPolicy, describeRule, applyRetention } = require('./retention');
+
+// Interval handles from scheduleMaintenanceTasks
+const timers = [];
 
 class DatabaseManager {
   static async getStats() {
     try {
+      const { storageLimitMB } = await getPolicy();
       const stats = await mongoose.connection.db.stats();
+      const storageMB = stats.storageSize / (1024 * 1024);
       return {
         sizeInMB: (stats.dataSize / (1024 * 1024)).toFixed(2),
-        storageInMB: (stats.storageSize / (1024 * 1024)).toFixed(2),
+        storageInMB: storageMB.toFixed(2),
         indexSizeInMB: (stats.indexSize / (1024 * 1024)).toFixed(2),
-        freeStorageMB: (512 - stats.storageSize / (1024 * 1024)).toFixed(2),
-        usagePercentage: ((stats.storageSize / (1024 * 1024) / 512) * 100).toFixed(1)
+        storageLimitMB,
+        freeStorageMB: (storageLimitMB - storageMB).toFixed(2),
+        usagePercentage: ((storageMB / storageLimitMB) * 100).toFixed(1)
       };
     } catch (error) {
       console.error('Error getting database stats:', error);
@@ -18,91 +25,55 @@ class DatabaseManager {
     }
   }
 
+  // Delete and anonymize reservations as the retention policy prescribes
   static async cleanupOldReservations() {
     try {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-      // First, archive completed reservations
-      const result = await mongoose.model('Reservation').deleteMany({
-        createdAt: { $lt: thirtyDaysAgo },
-        status: { $in: ['confirmed', 'cancelled'] }
-      });
-
-      // Then, check for abandoned pending reservations (older than 24 hours)
-      const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      const abandonedResult = await mongoose.model('Reservation').deleteMany({
-        createdAt: { $lt: oneDayAgo },
-        status: 'pending'
-      });
-
-      const totalDeleted = result.deletedCount + abandonedResult.deletedCount;
-      
-      if (totalDeleted > 0) {
+      const { total, results } = await applyRetention({ actions: ['delete', 'anonymize'], actor: 'system:cleanup' });
+
+      if (total > 0) {
         await NotificationManager.notify(
           'Cleanup Completed',
-          `Cleaned up ${result.deletedCount} old reservations and ${abandonedResult.deletedCount} abandoned pending reservations.`
+          `Cleanup affected ${total} reservations:\n` +
+            results.filter(result => result.affected > 0)
+              .map(result => `- ${result.description}: ${result.affected}`)
+              .join('\n'),
+          { severity: 'info', cooldownMinutes: 0 }
         );
       }
 
-      return totalDeleted;
+      return total;
     } catch (error) {
       console.error('Error during cleanup:', error);
       await NotificationManager.notify(
         'Cleanup Failed',
         `Error during cleanup: ${error.message}`,
-        true
+        { severity: 'critical' }
       );
-      return 0;
+      throw error;
     }
   }
 
+  // Move reservations into the archive as the retention policy prescribes
   static async archiveReservations() {
     try {
-      const sixtyDaysAgo = new Date();
-      sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
-
-      // Get reservations to archive
-      const reservationsToArchive = await mongoose.model('Reservation').find({
-        createdAt: { $lt: sixtyDaysAgo }
-      });
-
-      if (reservationsToArchive.length > 0) {
-        // Create archive collection if it doesn't exist
-        const Archive = mongoose.model('Archive') || mongoose.model('Archive', new mongoose.Schema({}, { strict: false }));
-        
-        // Add archive date and metadata
-        const archiveData = reservationsToArchive.map(res => ({
-          ...res.toObject(),
-          archivedAt: new Date(),
-          archiveReason: 'age',
-          originalCollection: 'reservations'
-        }));
-
-        // Insert into archive
-        await Archive.insertMany(archiveData);
-
-        // Delete archived reservations
-        await mongoose.model('Reservation').deleteMany({
-          _id: { $in: reservationsToArchive.map(r => r._id) }
-        });
+      const { total } = await applyRetention({ actions: ['archive'], actor: 'system:archive' });
 
+      if (total > 0) {
         await NotificationManager.notify(
           'Archiving Completed',
-          `Archived ${reservationsToArchive.length} old reservations successfully.`
+          `Archived ${total} old reservations successfully.`,
+          { severity: 'info', cooldownMinutes: 0 }
         );
-
-        return reservationsToArchive.length;
       }
-      return 0;
+      return total;
     } catch (error) {
       console.error('Error during archiving:', error);
       await NotificationManager.notify(
         'Archiving Failed',
         `Error during archiving: ${error.message}`,
-        true
+        { severity: 'critical' }
       );
-      return 0;
+      throw error;
     }
   }
 
@@ -111,32 +82,31 @@ class DatabaseManager {
       const stats = await this.getStats();
       if (!stats) return;
 
-      // Alert thresholds (in MB)
-      const WARNING_THRESHOLD = 350;  // About 68% of free tier
-      const CRITICAL_THRESHOLD = 400; // About 78% of free tier
-      const EMERGENCY_THRESHOLD = 450; // About 88% of free tier
+      // Alert thresholds, as a share of the storage limit
+      const WARNING_THRESHOLD = stats.storageLimitMB * 0.68;
+      const CRITICAL_THRESHOLD = stats.storageLimitMB * 0.78;
+      const EMERGENCY_THRESHOLD = stats.storageLimitMB * 0.88;
 
+      const { rules } = await getPolicy();
       const storageUsed = parseFloat(stats.storageInMB);
       const message = `
 Database Storage Alert
 
-Current Usage: ${stats.storageInMB}MB of 512MB
+Current Usage: ${stats.storageInMB}MB of ${stats.storageLimitMB}MB
 Usage Percentage: ${stats.usagePercentage}%
 Free Space: ${stats.freeStorageMB}MB
 Index Size: ${stats.indexSizeInMB}MB
 
-Automatic Cleanup:
-- Daily cleanup of orders older than 30 days
-- Weekly archiving of data older than 60 days
-- Immediate cleanup of abandoned pending orders (24h+)
+Retention Policy:
+${rules.map(rule => `- ${describeRule({ source: 'live', ...rule })}`).join('\n')}
 `;
 
       // Send appropriate alerts based on usage
       if (storageUsed > EMERGENCY_THRESHOLD) {
         await NotificationManager.notify(
           'EMERGENCY: Database Near Capacity',
-          `${message}\n\nURGENT: Database is nearing free tier limit. Emergency cleanup initiated.`,
-          true
+          `${message}\n\nURGENT: Database is nearing its storage limit. Emergency cleanup initiated.`,
+          { severity: 'critical', key: 'db-storage-emergency', cooldownMinutes: 60 }
         );
         // Trigger immediate cleanup
         await this.cleanupOldReservations();
@@ -145,13 +115,13 @@ Automatic Cleanup:
         await NotificationManager.notify(
           'CRITICAL: High Database Usage',
           `${message}\n\nAction Required: Please review and clean up unnecessary data.`,
-          true
+          { severity: 'critical', key: 'db-storage-critical' }
         );
       } else if (storageUsed > WARNING_THRESHOLD) {
         await NotificationManager.notify(
           'WARNING: Database Usage Alert',
           `${message}\n\nConsider cleaning up old data to prevent reaching limits.`,
-          false
+          { severity: 'warning', key: 'db-storage-warning', cooldownMinutes: 24 * 60 }
         );
       }
 
@@ -168,39 +138,54 @@ Automatic Cleanup:
       await NotificationManager.notify(
         'Monitoring Error',
         `Error during health monitoring: ${error.message}`,
-        true
+        { severity: 'critical' }
       );
     }
   }
 
   static scheduleMaintenanceTasks() {
+    // Loaded here because the job runner itself depends on this class
+    const { runJob } = require('./jobs');
+    const run = job => runJob(job, 'schedule').catch(error => {
+      console.error(`Error running scheduled ${job}:`, error);
+    });
+
     // Monitor health every 4 hours
-    setInterval(async () => {
-      await this.monitorHealth();
-    }, 4 * 60 * 60 * 1000);
+    timers.push(setInterval(() => run('monitor'), 4 * 60 * 60 * 1000));
+
+    // Retry failed alert deliveries every 5 minutes
+    timers.push(setInterval(() => run('alerts'), 5 * 60 * 1000));
+
+    // Remind customers of upcoming pickups every 15 minutes
+    timers.push(setInterval(() => run('reminders'), 15 * 60 * 1000));
 
     // Run cleanup daily at specified hour (default 3 AM)
     const cleanupHour = parseInt(process.env.CLEANUP_HOUR || '3');
-    setInterval(async () => {
+    timers.push(setInterval(() => {
       const now = new Date();
       if (now.getHours() === cleanupHour && now.getMinutes() === 0) {
-        await this.cleanupOldReservations();
+        run('cleanup');
       }
-    }, 60 * 1000);
+    }, 60 * 1000));
 
     // Run archiving weekly on Sunday at specified hour (default 4 AM)
     const archiveHour = parseInt(process.env.ARCHIVE_HOUR || '4');
-    setInterval(async () => {
+    timers.push(setInterval(() => {
       const now = new Date();
       if (now.getDay() === 0 && now.getHours() === archiveHour && now.getMinutes() === 0) {
-        await this.archiveReservations();
+        run('archive');
       }
-    }, 60 * 1000);
+    }, 60 * 1000));
 
     // Run initial health check
-    this.monitorHealth();
+    run('monitor');
     console.log('Database maintenance tasks scheduled');
   }
+
+  // Stop the timers started by scheduleMaintenanceTasks, e.g. while shutting down
+  static stopMaintenanceTasks() {
+    timers.splice(0).forEach(clearInterval);
+  }
 }
 
 module.exports = DatabaseManager; 
\ No newline at end of file
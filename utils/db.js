@@ -1,25 +1,132 @@
 const mongoose = require('mongoose');
 
-let cachedConnection = null;
+const READY_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+const SERVER_SELECTION_TIMEOUT_MS = parseInt(process.env.MONGODB_SERVER_SELECTION_TIMEOUT_MS || '10000');
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// The connection attempt in flight or already made. Concurrent callers (cold-start
+// requests in particular) share it instead of each opening a connection, and it is
+// cleared on failure so the next caller tries again.
+let connecting = null;
+let listenersAttached = false;
+
+// When the connection was last established or lost, for the health endpoint
+const status = {
+  connectedAt: null,
+  disconnectedAt: null,
+  lastError: null
+};
+
+function attachListeners() {
+  if (listenersAttached) return;
+  listenersAttached = true;
+
+  const connection = mongoose.connection;
+  connection.on('connected', () => {
+    status.connectedAt = new Date();
+  });
+  connection.on('reconnected', () => {
+    status.connectedAt = new Date();
+    console.log('MongoDB reconnected');
+  });
+  // The driver keeps retrying in the background once a connection has been made
+  connection.on('disconnected', () => {
+    status.disconnectedAt = new Date();
+    console.warn('MongoDB disconnected');
+  });
+  connection.on('error', error => {
+    status.lastError = error.message;
+    console.error('MongoDB connection error:', error.message);
+  });
+}
 
 async function connectToDatabase() {
-  if (cachedConnection) {
-    return cachedConnection;
+  if (mongoose.connection.readyState === 1) {
+    return mongoose;
+  }
+  if (!connecting) {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI is not configured');
+    }
+    attachListeners();
+    connecting = mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS
+    }).catch(error => {
+      connecting = null;
+      status.lastError = error.message;
+      throw error;
+    });
+  }
+  return connecting;
+}
+
+// Keep trying to connect with exponential backoff; used by the long-running server,
+// which should come up (and report itself unhealthy) even while the database is down
+async function connectWithRetry({ initialDelayMs = 1000, shouldStop = () => false } = {}) {
+  for (let attempt = 0; !shouldStop(); attempt++) {
+    try {
+      return await connectToDatabase();
+    } catch (error) {
+      const delay = Math.min(initialDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      console.error(`MongoDB connection failed (${error.message}), retrying in ${delay / 1000}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  return null;
+}
+
+async function disconnectFromDatabase() {
+  connecting = null;
+  await mongoose.disconnect();
+}
+
+function isReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Connection state, round-trip latency and replica set membership
+async function checkHealth() {
+  const { readyState } = mongoose.connection;
+  const health = {
+    readyState,
+    state: READY_STATES[readyState] || 'unknown',
+    connectedAt: status.connectedAt,
+    disconnectedAt: status.disconnectedAt,
+    lastError: status.lastError
+  };
+  if (readyState !== 1) {
+    return { ...health, ok: false };
   }
 
   try {
-    const connection = await mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-      bufferCommands: false,
-    });
+    const admin = mongoose.connection.db.admin();
+    const started = process.hrtime.bigint();
+    await admin.command({ ping: 1 });
+    const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const hello = await admin.command({ hello: 1 });
 
-    cachedConnection = connection;
-    return connection;
+    return {
+      ...health,
+      ok: true,
+      latencyMs: Math.round(latencyMs * 10) / 10,
+      replicaSet: hello.setName
+        ? {
+          name: hello.setName,
+          primary: hello.primary,
+          isWritablePrimary: hello.isWritablePrimary,
+          hosts: hello.hosts
+        }
+        : null
+    };
   } catch (error) {
-    console.error('MongoDB connection error:', error);
-    throw error;
+    return { ...health, ok: false, lastError: error.message };
   }
 }
 
-module.exports = { connectToDatabase }; 
\ No newline at end of file
+module.exports = {
+  connectToDatabase,
+  connectWithRetry,
+  disconnectFromDatabase,
+  isReady,
+  checkHealth
+};
@@ -0,0 +1,80 @@
+// Default error code for each HTTP status; routes can pass a more specific one
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  422: 'UNPROCESSABLE',
+  423: 'LOCKED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+// An error meant for the client. Every API error response has the same shape:
+// { code, message, fields: [{ location, field, message }] }, plus any extra properties given.
+class ApiError extends Error {
+  constructor(status, message, { code, fields = [], ...extra } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || 'ERROR';
+    this.fields = fields;
+    this.extra = extra;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      fields: this.fields,
+      ...this.extra
+    };
+  }
+}
+
+// A 400 for input that failed validation
+function validationError(message, fields = []) {
+  return new ApiError(400, message, { code: 'VALIDATION_ERROR', fields });
+}
+
+// Map anything thrown inside a route to an ApiError. Mongoose validation and cast
+// errors are the client's fault; anything else is ours and its message stays in the logs.
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.name === 'ValidationError' && error.errors) {
+    return validationError('Validation failed', Object.values(error.errors).map(err => ({
+      location: 'body',
+      field: err.path,
+      message: err.message
+    })));
+  }
+  if (error.name === 'CastError') {
+    return new ApiError(400, `Invalid ${error.path}`, {
+      code: error.kind === 'ObjectId' ? 'INVALID_ID' : 'VALIDATION_ERROR',
+      fields: [{ location: 'params', field: error.path, message: `${error.path} is not valid` }]
+    });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'Invalid JSON payload', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError(413, 'Request body is too large', { code: 'PAYLOAD_TOO_LARGE' });
+  }
+  return new ApiError(500, 'Something went wrong');
+}
+
+// A 400 for a single invalid field
+function invalidField(location, field, message) {
+  return validationError(message, [{ location, field, message }]);
+}
+
+module.exports = {
+  ApiError,
+  validationError,
+  invalidField,
+  toApiError
+};
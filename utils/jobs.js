@@ -0,0 +1,45 @@
+const { connectToDatabase } = require('./db');
+const { JobRun } = require('../models/jobRun');
+const DatabaseManager = require('./databaseManager');
+const CustomerNotifier = require('./customerNotifier');
+const NotificationManager = require('./notificationManager');
+
+const JOBS = {
+  monitor: async () => {
+    const health = await DatabaseManager.monitorHealth();
+    if (!health) {
+      throw new Error('Database health could not be determined');
+    }
+    return health;
+  },
+  cleanup: async () => ({ deleted: await DatabaseManager.cleanupOldReservations() }),
+  archive: async () => ({ archived: await DatabaseManager.archiveReservations() }),
+  reminders: () => CustomerNotifier.sendReminders(),
+  alerts: () => NotificationManager.flushOutbox()
+};
+
+// Run a maintenance job and record its outcome in the job history.
+// Never throws for job failures, so it is safe to call from timers.
+async function runJob(job, trigger, triggeredBy) {
+  await connectToDatabase();
+  const run = await JobRun.create({ job, trigger, triggeredBy });
+
+  try {
+    run.result = await JOBS[job]();
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Maintenance job ${job} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  await run.save();
+  return run;
+}
+
+module.exports = {
+  JOB_NAMES: Object.keys(JOBS),
+  runJob
+};
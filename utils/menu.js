@@ -0,0 +1,151 @@
+const { MenuItem } = require('../models/menuItem');
+const { MenuStock } = require('../models/menuStock');
+const { localDateString } = require('./availability');
+const { findBranch } = require('./branches');
+const { invalidField } = require('./errors');
+
+const DUPLICATE_KEY = 11000;
+
+const roundUsd = value => Math.round(value * 100) / 100;
+const hasLimit = item => item.dailyStock !== null && item.dailyStock !== undefined;
+
+function isAvailableAt(item, branch) {
+  return item.active && (item.branches.length === 0 || item.branches.includes(branch));
+}
+
+// The pickup day stock is counted against, in the branch's own calendar
+async function stockDate(branch, time) {
+  const config = await findBranch(branch, { includeInactive: true });
+  return localDateString(time, config ? config.timezone : 'Asia/Beirut');
+}
+
+// How many of each item are still free at a branch on a day, keyed by item ID.
+// Items without a daily limit map to null.
+async function remainingStock(items, branch, date) {
+  const counters = await MenuStock.find({
+    item: { $in: items.filter(hasLimit).map(item => item._id) },
+    branch,
+    date
+  }).lean();
+  const reserved = new Map(counters.map(counter => [String(counter.item), counter.reserved]));
+
+  return new Map(items.map(item => [
+    String(item._id),
+    hasLimit(item) ? Math.max(item.dailyStock - (reserved.get(String(item._id)) || 0), 0) : null
+  ]));
+}
+
+// Turn requested { item, quantity } lines into priced line items and totals using
+// the current menu. Repeated items are combined into one line. Throws a validation
+// error naming the first line that can't be ordered at this branch and time.
+async function priceOrder(requested, { branch, time, checkStock = true }) {
+  const lines = new Map();
+  requested.forEach(({ item, quantity }, index) => {
+    const line = lines.get(String(item)) || { index, quantity: 0 };
+    line.quantity += quantity;
+    lines.set(String(item), line);
+  });
+
+  const menuItems = await MenuItem.find({ _id: { $in: [...lines.keys()] } }).lean();
+  const byId = new Map(menuItems.map(item => [String(item._id), item]));
+  const remaining = checkStock ? await remainingStock(menuItems, branch, await stockDate(branch, time)) : new Map();
+
+  const items = [];
+  for (const [id, { index, quantity }] of lines) {
+    const item = byId.get(id);
+    if (!item) {
+      throw invalidField('body', `items[${index}].item`, 'This item is not on the menu');
+    }
+    if (!isAvailableAt(item, branch)) {
+      throw invalidField('body', `items[${index}].item`, `${item.name} is not available at ${branch}`);
+    }
+    const left = remaining.get(id);
+    if (left !== null && left !== undefined && quantity > left) {
+      throw invalidField('body', `items[${index}].quantity`, left > 0
+        ? `Only ${left} ${item.name} left for that day`
+        : `${item.name} is sold out for that day`);
+    }
+
+    items.push({
+      item: item._id,
+      name: item.name,
+      quantity,
+      unitPrice: { lbp: item.price.lbp, usd: item.price.usd },
+      lineTotal: { lbp: item.price.lbp * quantity, usd: roundUsd(item.price.usd * quantity) }
+    });
+  }
+
+  const total = {
+    lbp: items.reduce((sum, line) => sum + line.lineTotal.lbp, 0),
+    usd: roundUsd(items.reduce((sum, line) => sum + line.lineTotal.usd, 0))
+  };
+  return { items, total };
+}
+
+// Add to a day's counter, refusing to go past `limit`. The upsert creates the counter
+// on first use; a conditional upsert that hits the existing counter fails with a
+// duplicate key, which means there isn't enough left.
+async function takeStock(filter, quantity, limit) {
+  if (limit === null || limit === undefined) {
+    await MenuStock.updateOne(filter, { $inc: { reserved: quantity } }, { upsert: true });
+    return true;
+  }
+  if (quantity > limit) return false;
+
+  const withinLimit = { ...filter, reserved: { $lte: limit - quantity } };
+  try {
+    await MenuStock.updateOne(withinLimit, { $inc: { reserved: quantity } }, { upsert: true });
+    return true;
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    // Either the counter exists and is too high, or another request created it first
+    const result = await MenuStock.updateOne(withinLimit, { $inc: { reserved: quantity } });
+    return result.modifiedCount > 0;
+  }
+}
+
+// Take a reservation's items out of the day's stock when it is confirmed. Every
+// line is counted, limited or not, so releasing is always the exact reverse.
+// Either all lines are taken or none are; resolves with the name of the first
+// item that ran out, or null.
+async function reserveStock(reservation) {
+  if (!reservation.items || reservation.items.length === 0) return null;
+
+  const date = await stockDate(reservation.branch, reservation.time);
+  const menuItems = await MenuItem.find({ _id: { $in: reservation.items.map(line => line.item) } }).lean();
+  const limits = new Map(menuItems.map(item => [String(item._id), item.dailyStock]));
+
+  const taken = [];
+  for (const line of reservation.items) {
+    const filter = { item: line.item, branch: reservation.branch, date };
+    if (!await takeStock(filter, line.quantity, limits.get(String(line.item)))) {
+      await Promise.all(taken.map(({ filter: takenFilter, quantity }) =>
+        MenuStock.updateOne(takenFilter, { $inc: { reserved: -quantity } })));
+      return line.name;
+    }
+    taken.push({ filter, quantity: line.quantity });
+  }
+  return null;
+}
+
+// Give a confirmed reservation's items back when it is cancelled or moved
+async function releaseStock(reservation) {
+  if (!reservation.items || reservation.items.length === 0) return;
+
+  const date = await stockDate(reservation.branch, reservation.time);
+  await MenuStock.bulkWrite(reservation.items.map(line => ({
+    updateOne: {
+      filter: { item: line.item, branch: reservation.branch, date },
+      update: { $inc: { reserved: -line.quantity } }
+    }
+  })));
+}
+
+module.exports = {
+  isAvailableAt,
+  stockDate,
+  remainingStock,
+  priceOrder,
+  reserveStock,
+  releaseStock
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every provider implements send({ to, body }) and resolves with { id } once the
+// message has been accepted, or rejects with the reason it could not be sent.
+
+// How long to wait for the messaging API before giving up on a message
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Prints messages instead of sending them; the default outside production, where
+// a provider has to be chosen explicitly
+class ConsoleProvider {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, body }) {
+    console.log(`[customer message] to ${to}: ${body}`);
+    return { id: `console-${Date.now()}` };
+  }
+}
+
+// Appends messages as JSON lines to a local file, so tests can read back what was sent
+class FileProvider {
+  constructor(filePath = process.env.CUSTOMER_MESSAGING_FILE || 'logs/customer-messages.log') {
+    this.name = 'file';
+    this.filePath = filePath;
+  }
+
+  async send({ to, body }) {
+    const id = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify({ id, to, body, at: new Date() }) + '\n');
+    return { id };
+  }
+}
+
+// SMS or WhatsApp through Twilio's REST API
+class TwilioProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.channel = process.env.CUSTOMER_MESSAGING_CHANNEL === 'whatsapp' ? 'whatsapp' : 'sms';
+    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+    this.from = process.env.TWILIO_FROM;
+  }
+
+  async send({ to, body }) {
+    if (!this.accountSid || !this.authToken || !this.from) {
+      throw new Error('Twilio is not configured');
+    }
+
+    const prefix = this.channel === 'whatsapp' ? 'whatsapp:' : '';
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: `${prefix}${to}`, From: `${prefix}${this.from}`, Body: body }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio request failed: ${result.message || response.statusText}`);
+    }
+    return { id: result.sid };
+  }
+}
+
+const PROVIDERS = {
+  console: ConsoleProvider,
+  file: FileProvider,
+  twilio: TwilioProvider
+};
+
+function createProvider(name = process.env.CUSTOMER_MESSAGING_PROVIDER) {
+  if (!name) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('CUSTOMER_MESSAGING_PROVIDER is not configured');
+    }
+    name = 'console';
+  }
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown customer messaging provider: ${name}`);
+  }
+  return new Provider();
+}
+
+module.exports = {
+  ConsoleProvider,
+  FileProvider,
+  TwilioProvider,
+  createProvider
+};
@@ -1,72 +1,114 @@
-const nodemailer = require('nodemailer');
+const { Alert } = require('../models/alert');
+const { getTransports } = require('./alertTransports');
+const rateLimit = require('./rateLimit');
+
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS || '5');
+const RETRY_BASE_MS = 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = parseInt(process.env.ALERT_COOLDOWN_MINUTES || '720');
 
 class NotificationManager {
-  static async sendEmail(subject, message) {
+  // Accepts the old isError flag as well as { severity, key, cooldownMinutes }
+  static normalizeOptions(options) {
+    if (typeof options === 'boolean') {
+      return { severity: options ? 'critical' : 'info' };
+    }
+    return options || {};
+  }
+
+  // Queue an admin alert in the outbox and try to deliver it right away.
+  // Returns the alert, or null when it was suppressed or nothing would receive it.
+  static async notify(subject, message, options = {}) {
+    const {
+      severity = 'info',
+      key = subject,
+      cooldownMinutes = DEFAULT_COOLDOWN_MINUTES
+    } = this.normalizeOptions(options);
+
+    const transports = getTransports().filter(transport => transport.accepts(severity));
+    if (transports.length === 0) return null;
+
+    let alert;
     try {
-      const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASSWORD
+      // The cooldown is claimed with one atomic hit, so of two processes raising the
+      // same alert at once only one sends it
+      if (cooldownMinutes > 0) {
+        const { allowed, resetAt } = await rateLimit.hit(`alert:${key}`, 1, cooldownMinutes * 60 * 1000);
+        if (!allowed) {
+          await Alert.findOneAndUpdate({ key }, { $inc: { suppressedCount: 1 } }, { sort: { createdAt: -1 } });
+          console.log(`Alert "${key}" suppressed until ${resetAt.toISOString()}`);
+          return null;
         }
-      });
+      }
 
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: process.env.ADMIN_EMAIL,
-        subject: `XNDoughs Alert: ${subject}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; padding: 20px;">
-            <h2 style="color: #e11d48;">XNDoughs Database Alert</h2>
-            <div style="background-color: #f3f4f6; padding: 15px; border-radius: 5px;">
-              <p><strong>${subject}</strong></p>
-              <p>${message}</p>
-            </div>
-            <p style="color: #6b7280; font-size: 0.875rem; margin-top: 20px;">
-              This is an automated message from your XNDoughs Database Management System
-            </p>
-          </div>
-        `
+      alert = await Alert.create({
+        key,
+        severity,
+        subject,
+        message,
+        // Retries wait for the outbox flush; the first attempt happens below
+        deliveries: transports.map(transport => ({
+          transport: transport.name,
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS)
+        }))
       });
-
-      console.log('Alert email sent successfully');
     } catch (error) {
-      console.error('Error sending alert email:', error);
+      // Without the database there is no outbox, so send once and hope for the best
+      console.error('Error queueing alert, sending directly:', error);
+      await Promise.all(transports.map(transport =>
+        transport.send({ key, subject, message, severity, createdAt: new Date() })
+          .catch(sendError => console.error(`Error sending alert via ${transport.name}:`, sendError))
+      ));
+      return null;
     }
+
+    await this.deliver(alert, { force: true });
+    return alert;
   }
 
-  static async sendDiscordWebhook(title, message, isError = false) {
-    try {
-      if (!process.env.DISCORD_WEBHOOK_URL) return;
+  // Attempt every pending delivery of an alert that is due (or all of them when forced)
+  static async deliver(alert, { force = false } = {}) {
+    const transports = new Map(getTransports().map(transport => [transport.name, transport]));
+    const now = new Date();
 
-      const response = await fetch(process.env.DISCORD_WEBHOOK_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          embeds: [{
-            title,
-            description: message,
-            color: isError ? 15158332 : 3066993, // Red for errors, Green for info
-            timestamp: new Date().toISOString()
-          }]
-        })
-      });
+    await Promise.all(alert.deliveries.map(async delivery => {
+      if (delivery.status !== 'pending' || (!force && delivery.nextAttemptAt > now)) return;
 
-      if (!response.ok) {
-        throw new Error(`Discord webhook failed: ${response.statusText}`);
+      delivery.attempts += 1;
+      try {
+        const transport = transports.get(delivery.transport);
+        if (!transport) {
+          throw new Error(`Transport ${delivery.transport} is not configured`);
+        }
+        await transport.send(alert);
+        delivery.status = 'sent';
+        delivery.sentAt = new Date();
+        delivery.lastError = undefined;
+      } catch (error) {
+        console.error(`Error sending alert via ${delivery.transport}:`, error.message);
+        delivery.lastError = error.message;
+        if (delivery.attempts >= MAX_ATTEMPTS) {
+          delivery.status = 'failed';
+        } else {
+          // Exponential backoff: 1, 2, 4, 8... minutes
+          delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+        }
       }
-    } catch (error) {
-      console.error('Error sending Discord webhook:', error);
-    }
+    }));
+
+    await alert.save();
   }
 
-  static async notify(subject, message, isError = false) {
-    // Send both email and Discord notifications
-    await Promise.all([
-      this.sendEmail(subject, message),
-      this.sendDiscordWebhook(subject, message, isError)
-    ]);
+  // Retry deliveries whose backoff has elapsed; run by the maintenance scheduler
+  static async flushOutbox() {
+    const alerts = await Alert.find({
+      deliveries: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: new Date() } } }
+    }).sort({ createdAt: 1 }).limit(100);
+
+    for (const alert of alerts) {
+      await this.deliver(alert);
+    }
+    return { retried: alerts.length };
   }
-} 
\ No newline at end of file
+}
+
+module.exports = NotificationManager;
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10');
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES || '15');
+
+function generateCode() {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
+
+function getSecret() {
+  if (!process.env.OTP_SECRET) {
+    throw new Error('OTP_SECRET is not configured');
+  }
+  return process.env.OTP_SECRET;
+}
+
+// Codes are bound to their reservation so a hash can't be replayed on another one
+function hashCode(reservationId, code) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${reservationId}:${code}`)
+    .digest('hex');
+}
+
+function codeMatches(reservationId, code, hash) {
+  if (!hash || typeof code !== 'string') return false;
+  const candidate = Buffer.from(hashCode(reservationId, code.trim()), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Issue a new code, replacing `previous`. Failed attempts carry over so asking for
+// a fresh code doesn't reset the lockout count; they only start again once a
+// lockout has run its course.
+function issue(reservationId, previous) {
+  const code = generateCode();
+  const now = new Date();
+  const lockoutServed = previous && previous.lockedUntil && previous.lockedUntil <= now;
+  return {
+    code,
+    otp: {
+      hash: hashCode(reservationId, code),
+      expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+      attempts: previous && !lockoutServed ? previous.attempts || 0 : 0
+    }
+  };
+}
+
+function lockoutUntil() {
+  return new Date(Date.now() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  OTP_LENGTH,
+  OTP_MAX_ATTEMPTS,
+  issue,
+  codeMatches,
+  lockoutUntil
+};
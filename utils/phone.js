@@ -0,0 +1,86 @@
+// Phone numbers are stored in E.164 form ("+9613123456"). Customers type them
+// every which way, so input is normalized here before it is validated or stored.
+
+const LEBANON = '961';
+
+// Lebanese numbers without the country code or trunk 0. Mobiles are 03 plus six
+// digits, or a two-digit 7x/81 prefix plus six; landlines are a one-digit area
+// code plus six.
+const LEBANESE_NUMBERS = [
+  { type: 'mobile', pattern: /^3\d{6}$/ },
+  { type: 'mobile', pattern: /^(70|71|76|78|79|81)\d{6}$/ },
+  { type: 'landline', pattern: /^[1456789]\d{6}$/ }
+];
+
+// E.164 allows at most 15 digits; nothing shorter than 8 is a real international number
+const FOREIGN_NUMBER = /^[1-9]\d{7,14}$/;
+
+const SEPARATORS = /[\s.\-()/]/g;
+
+function lebaneseType(national) {
+  const match = LEBANESE_NUMBERS.find(({ pattern }) => pattern.test(national));
+  return match ? match.type : null;
+}
+
+// Parse a phone number as typed: "+961 3 123 456", "00961 3123456", "9613123456",
+// "03 123 456" and "70-123-456" are all the same kind of thing. Numbers without a
+// + or 00 prefix are read as Lebanese. Returns { phone, lebanese, type } with the
+// E.164 number, or null when the input isn't a valid number.
+function parsePhone(input) {
+  if (typeof input !== 'string') return null;
+  const compact = input.replace(SEPARATORS, '');
+
+  let international;
+  if (/^\+\d+$/.test(compact)) {
+    international = compact.slice(1);
+  } else if (/^00\d+$/.test(compact)) {
+    international = compact.slice(2);
+  } else if (/^961\d{7,9}$/.test(compact)) {
+    // The format numbers were stored in before E.164; no Lebanese number starts with 96
+    international = compact;
+  } else if (/^\d+$/.test(compact)) {
+    international = LEBANON + compact.replace(/^0/, '');
+  } else {
+    return null;
+  }
+
+  if (international.startsWith(LEBANON)) {
+    // People often keep the trunk 0 after the country code, e.g. +961 03 123 456
+    const national = international.slice(LEBANON.length).replace(/^0/, '');
+    const type = lebaneseType(national);
+    return type ? { phone: `+${LEBANON}${national}`, lebanese: true, type } : null;
+  }
+
+  return FOREIGN_NUMBER.test(international)
+    ? { phone: `+${international}`, lebanese: false, type: null }
+    : null;
+}
+
+// The E.164 form of a phone number, or null when it isn't valid. Foreign numbers
+// are only accepted with allowForeign.
+function normalizePhone(input, { allowForeign = false } = {}) {
+  const parsed = parsePhone(input);
+  if (!parsed || (!parsed.lebanese && !allowForeign)) return null;
+  return parsed.phone;
+}
+
+function isLebanesePhone(phone) {
+  return typeof phone === 'string' && phone.startsWith(`+${LEBANON}`);
+}
+
+// Turn a partial number typed into a search box into the prefix stored numbers
+// start with, e.g. "03 12" becomes "+961312"
+function phoneSearchPrefix(input) {
+  const compact = String(input).replace(SEPARATORS, '');
+  if (compact.startsWith('+')) return compact;
+  if (compact.startsWith('00')) return `+${compact.slice(2)}`;
+  if (compact.startsWith(LEBANON)) return `+${compact}`;
+  return `+${LEBANON}${compact.replace(/^0/, '')}`;
+}
+
+module.exports = {
+  parsePhone,
+  normalizePhone,
+  isLebanesePhone,
+  phoneSearchPrefix
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { PrivacyRequest } = require('../models/privacyRequest');
+const { ReservationEvent } = require('../models/reservationEvent');
+const { Customer } = require('../models/customer');
+const { IdempotencyKey } = require('../models/idempotencyKey');
+const reservationEvents = require('./reservationEvents');
+const { normalizePhone } = require('./phone');
+const { ACTIVE_STATUSES, releaseSlot } = require('./availability');
+const { invalidField } = require('./errors');
+
+// Without a salt, hashed phone numbers could be reversed by hashing every possible number
+function getSalt() {
+  if (!process.env.PRIVACY_SALT) {
+    throw new Error('PRIVACY_SALT is not configured');
+  }
+  return process.env.PRIVACY_SALT;
+}
+
+// One-way, salted phone hash: the same number always maps to the same value, so
+// anonymized reservations still count towards repeat-customer reports, which hash
+// live numbers to match. The leading + is left out so hashes made before numbers
+// were stored in E.164 still match.
+function hashPhone(phone) {
+  return 'anon:' + crypto
+    .createHash('sha256')
+    .update(`${getSalt()}:${String(phone).replace(/^\+/, '')}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function isAnonymized(phone) {
+  return typeof phone === 'string' && phone.startsWith('anon:');
+}
+
+// The update that strips a reservation of personal data
+function anonymizeUpdate(doc) {
+  return {
+    $set: {
+      phone: isAnonymized(doc.phone) ? doc.phone : hashPhone(doc.phone),
+      anonymizedAt: new Date()
+    },
+    $unset: { name: '' }
+  };
+}
+
+// Records belonging to a phone number, including ones already anonymized under it
+// and ones still in the bare-digit form used before E.164
+function subjectFilter(phone) {
+  return { phone: { $in: [phone, phone.replace(/^\+/, ''), hashPhone(phone)] } };
+}
+
+// The normalized form of a data subject's phone number; throws a validation error if it isn't one
+function subjectPhone(phone) {
+  const normalized = normalizePhone(phone, { allowForeign: true });
+  if (!normalized) {
+    throw invalidField('params', 'phone', 'phone must be a valid phone number');
+  }
+  return normalized;
+}
+
+function recordRequest(type, phone, { requestedBy, reference, counts }) {
+  return PrivacyRequest.create({
+    type,
+    phoneHash: hashPhone(phone),
+    requestedBy,
+    reference,
+    counts
+  });
+}
+
+// Everything held about a phone number: the customer profile, live and archived
+// reservations and their history
+async function exportSubjectData(input, { requestedBy, reference } = {}) {
+  const phone = subjectPhone(input);
+  const filter = subjectFilter(phone);
+  const [customer, reservations, archived] = await Promise.all([
+    Customer.findOne({ phone }),
+    Reservation.find(filter).sort({ createdAt: 1 }),
+    Archive.find(filter).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const history = await ReservationEvent
+    .find({ reservation: { $in: [...reservations, ...archived].map(doc => doc._id) } })
+    .sort({ at: 1 });
+
+  const request = await recordRequest('export', phone, {
+    requestedBy,
+    reference,
+    counts: { reservations: reservations.length, archived: archived.length }
+  });
+
+  return {
+    phone,
+    exportedAt: request.createdAt,
+    requestId: request._id,
+    customer,
+    reservations,
+    archived,
+    history
+  };
+}
+
+// Permanently delete the customer profile and every live and archived reservation for a phone number,
+// along with stored idempotent responses that repeat them
+async function eraseSubjectData(input, { requestedBy, reference } = {}) {
+  const phone = subjectPhone(input);
+  const filter = subjectFilter(phone);
+  const [liveDocs, archivedDocs] = await Promise.all([
+    Reservation.find(filter).select('branch time status').lean(),
+    Archive.find(filter).select('branch').lean()
+  ]);
+  const erased = [...liveDocs, ...archivedDocs];
+
+  await reservationEvents.redactPersonalData(erased.map(doc => doc._id));
+  const [live, archived] = await Promise.all([
+    Reservation.deleteMany({ _id: { $in: liveDocs.map(doc => doc._id) } }),
+    Archive.deleteMany({ _id: { $in: archivedDocs.map(doc => doc._id) } }),
+    Customer.deleteOne({ phone }),
+    IdempotencyKey.deleteMany({
+      $or: [
+        { 'response.body.phone': filter.phone },
+        { 'response.body._id': { $in: erased.map(doc => String(doc._id)) } }
+      ]
+    })
+  ]);
+  await reservationEvents.recordMany(erased, 'erased', { actor: requestedBy, reason: reference });
+  // Upcoming pickups free their places for other customers
+  await Promise.all(liveDocs
+    .filter(doc => ACTIVE_STATUSES.includes(doc.status) && doc.time > new Date())
+    .map(doc => releaseSlot(doc.branch, doc.time)));
+
+  const request = await recordRequest('erase', phone, {
+    requestedBy,
+    reference,
+    counts: { reservations: live.deletedCount, archived: archived.deletedCount }
+  });
+
+  return {
+    requestId: request._id,
+    erasedAt: request.createdAt,
+    counts: request.counts
+  };
+}
+
+module.exports = {
+  hashPhone,
+  isAnonymized,
+  anonymizeUpdate,
+  subjectPhone,
+  exportSubjectData,
+  eraseSubjectData
+};
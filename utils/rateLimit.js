@@ -0,0 +1,33 @@
+const { RateLimit } = require('../models/rateLimit');
+
+const DUPLICATE_KEY = 11000;
+
+// Count one hit against `key` and report whether it is still within `limit` for the
+// current window. The counter lives in MongoDB, so every serverless instance shares it.
+async function hit(key, limit, windowMs) {
+  const now = new Date();
+  const inWindow = { $gt: ['$resetAt', now] };
+  const update = [{
+    $set: {
+      count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+      resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+    }
+  }];
+
+  let counter;
+  try {
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first hits raced to create the counter; the loser just increments it
+    if (error.code !== DUPLICATE_KEY) throw error;
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  return {
+    allowed: counter.count <= limit,
+    remaining: Math.max(limit - counter.count, 0),
+    resetAt: counter.resetAt
+  };
+}
+
+module.exports = { hit };
@@ -0,0 +1,181 @@
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { invalidField } = require('./errors');
+const { hashPhone, isAnonymized } = require('./privacy');
+
+const SOURCES = ['live', 'archive', 'all'];
+// IANA timezones reports can be grouped in; UTC isn't among the canonical names
+const TIMEZONES = ['UTC', ...Intl.supportedValuesOf('timeZone')];
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Beirut';
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw invalidField('query', name, `${name} must be a valid date`);
+  }
+  return date;
+}
+
+// Turn report query parameters, already checked against the route's schema, into a
+// source, $match stage and timezone. Throws a validation error when a date is invalid.
+function parseReportQuery(query) {
+  const { source, tz: timezone } = query;
+
+  const match = {};
+  if (query.branch) {
+    match.branch = { $in: String(query.branch).split(',').map(branch => branch.trim()) };
+  }
+  if (query.from || query.to) {
+    match.createdAt = {};
+    if (query.from) match.createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) match.createdAt.$lte = parseDate(query.to, 'to');
+  }
+
+  return { source, match, timezone };
+}
+
+// Run a pipeline over live reservations, archived ones, or both
+function aggregate(source, match, pipeline) {
+  if (source === 'archive') {
+    return Archive.aggregate([{ $match: match }, ...pipeline]);
+  }
+  const union = source === 'all' ? [{ $unionWith: { coll: Archive.collection.name } }] : [];
+  return Reservation.aggregate([...union, { $match: match }, ...pipeline]);
+}
+
+// Reservations per branch per day or hour of creation
+function volume({ source, match, timezone }, interval = 'day') {
+  const format = interval === 'hour' ? '%Y-%m-%d %H:00' : '%Y-%m-%d';
+  return aggregate(source, match, [
+    {
+      $group: {
+        _id: {
+          branch: '$branch',
+          period: { $dateToString: { date: '$createdAt', format, timezone } }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $project: { _id: 0, branch: '$_id.branch', period: '$_id.period', count: 1 } },
+    { $sort: { period: 1, branch: 1 } }
+  ]);
+}
+
+// Confirmation, cancellation and no-show rates per branch
+async function rates({ source, match }) {
+  const rows = await aggregate(source, match, [
+    {
+      $group: {
+        _id: '$branch',
+        total: { $sum: 1 },
+        confirmed: { $sum: { $cond: [{ $in: ['$status', ['confirmed', 'completed']] }, 1, 0] } },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ['$cancellationReason', 'no_show'] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const rate = (count, total) => (total > 0 ? Number((count / total).toFixed(3)) : 0);
+  return rows.map(({ _id, ...counts }) => ({
+    branch: _id,
+    ...counts,
+    confirmationRate: rate(counts.confirmed, counts.total),
+    cancellationRate: rate(counts.cancelled, counts.total),
+    noShowRate: rate(counts.noShows, counts.total)
+  }));
+}
+
+// Cancelled reservations per branch, broken down by reason
+function cancellationReasons({ source, match }) {
+  return aggregate(source, { ...match, status: 'cancelled' }, [
+    {
+      $group: {
+        _id: { branch: '$branch', reason: { $ifNull: ['$cancellationReason', 'unspecified'] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $project: { _id: 0, branch: '$_id.branch', reason: '$_id.reason', count: 1 } },
+    { $sort: { branch: 1, count: -1 } }
+  ]);
+}
+
+// Busiest pickup weekday and time combinations, in the report timezone
+function peakSlots({ source, match, timezone }, limit = 10) {
+  return aggregate(source, { ...match, time: { $type: 'date' } }, [
+    {
+      $group: {
+        _id: {
+          branch: '$branch',
+          weekday: { $dayOfWeek: { date: '$time', timezone } },
+          slot: { $dateToString: { date: '$time', format: '%H:%M', timezone } }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        branch: '$_id.branch',
+        // $dayOfWeek counts from 1 = Sunday
+        weekday: { $arrayElemAt: [['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], { $subtract: ['$_id.weekday', 1] }] },
+        slot: '$_id.slot',
+        count: 1
+      }
+    },
+    { $sort: { count: -1, branch: 1 } },
+    { $limit: limit }
+  ]);
+}
+
+// Orders per customer. Anonymized reservations hold a hash of the phone number, so once
+// any are included, numbers are hashed the same way to count both forms as one customer
+// (listed under the number where it is still known).
+async function ordersByCustomer(source, match) {
+  const groups = await aggregate(source, match, [
+    { $group: { _id: '$phone', orders: { $sum: 1 }, lastOrderAt: { $max: '$createdAt' } } }
+  ]);
+  const mixed = groups.some(group => isAnonymized(group._id));
+
+  const customers = new Map();
+  for (const { _id: phone, orders, lastOrderAt } of groups) {
+    const key = mixed && typeof phone === 'string' && !isAnonymized(phone) ? hashPhone(phone) : phone;
+    const customer = customers.get(key);
+    if (!customer) {
+      customers.set(key, { phone, orders, lastOrderAt });
+      continue;
+    }
+    customer.orders += orders;
+    if (lastOrderAt > customer.lastOrderAt) customer.lastOrderAt = lastOrderAt;
+    if (isAnonymized(customer.phone)) customer.phone = phone;
+  }
+  return [...customers.values()];
+}
+
+// How many customers (by phone) came back, plus the most frequent ones
+async function repeatCustomers({ source, match }, limit = 10) {
+  const customers = await ordersByCustomer(source, match);
+  const repeat = customers.filter(customer => customer.orders >= 2);
+  return {
+    customers: customers.length,
+    repeatCustomers: repeat.length,
+    repeatRate: customers.length > 0 ? Number((repeat.length / customers.length).toFixed(3)) : 0,
+    top: repeat
+      .sort((a, b) => b.orders - a.orders || b.lastOrderAt - a.lastOrderAt)
+      .slice(0, limit)
+  };
+}
+
+module.exports = {
+  SOURCES,
+  TIMEZONES,
+  DEFAULT_TIMEZONE,
+  parseReportQuery,
+  volume,
+  rates,
+  cancellationReasons,
+  peakSlots,
+  repeatCustomers
+};
@@ -0,0 +1,97 @@
+const { isDeepStrictEqual } = require('util');
+const { ReservationEvent } = require('../models/reservationEvent');
+const { Counter } = require('../models/counter');
+const { publish } = require('./reservationFeed');
+
+// Fields whose values identify the customer; scrubbed from history on anonymization and erasure
+const PERSONAL_FIELDS = ['name', 'phone'];
+
+// Who made a change and from where
+function requestActor(req) {
+  return {
+    actor: req.user ? req.user.username : 'customer',
+    ip: req.ip
+  };
+}
+
+// Before/after pairs for the fields that differ between two snapshots
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter(field => !isDeepStrictEqual(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+// Take `count` feed positions in one go; resolves with the first of them
+async function takeSequence(count) {
+  const counter = await Counter.findOneAndUpdate(
+    { name: 'reservationEvents' },
+    { $inc: { seq: count } },
+    { upsert: true, new: true }
+  ).lean();
+  return counter.seq - count + 1;
+}
+
+function toEvent(reservation, type, seq, { changes, reason, actor, ip }) {
+  return {
+    reservation: reservation._id,
+    seq,
+    branch: reservation.branch,
+    type,
+    changes,
+    reason,
+    actor: actor || 'unknown',
+    ip
+  };
+}
+
+// Record one event. The change it describes has already happened, so a failure to
+// log is reported but never turned into a failed request.
+async function record(reservation, type, details = {}) {
+  try {
+    const event = await ReservationEvent.create(toEvent(reservation, type, await takeSequence(1), details));
+    await publish([event]);
+  } catch (error) {
+    console.error(`Error recording ${type} event for reservation ${reservation._id}:`, error);
+  }
+}
+
+// Record the same event for a batch of reservations
+async function recordMany(reservations, type, details = {}) {
+  if (reservations.length === 0) return;
+  try {
+    const first = await takeSequence(reservations.length);
+    const events = await ReservationEvent.insertMany(
+      reservations.map((reservation, i) => toEvent(reservation, type, first + i, details)),
+      { ordered: false }
+    );
+    await publish(events);
+  } catch (error) {
+    console.error(`Error recording ${type} events for ${reservations.length} reservations:`, error);
+  }
+}
+
+// Remove customer names, phone numbers and IP addresses from the history of the given reservations
+async function redactPersonalData(reservationIds) {
+  if (reservationIds.length === 0) return;
+  await ReservationEvent.updateMany(
+    { reservation: { $in: reservationIds }, ip: { $exists: true } },
+    { $unset: { ip: '' } }
+  );
+  const redact = {};
+  for (const end of ['from', 'to']) {
+    redact[`changes.$[personal].${end}`] = null;
+  }
+  await ReservationEvent.updateMany(
+    { reservation: { $in: reservationIds }, 'changes.field': { $in: PERSONAL_FIELDS } },
+    { $set: redact },
+    { arrayFilters: [{ 'personal.field': { $in: PERSONAL_FIELDS } }] }
+  );
+}
+
+module.exports = {
+  requestActor,
+  fieldChanges,
+  record,
+  recordMany,
+  redactPersonalData
+};
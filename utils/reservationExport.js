@@ -0,0 +1,115 @@
+const ExcelJS = require('exceljs');
+const { invalidField } = require('./errors');
+
+// Exportable columns and how to read each one from a reservation or archive document
+const COLUMNS = {
+  id: { header: 'ID', value: doc => String(doc._id) },
+  name: { header: 'Name', value: doc => doc.name },
+  phone: { header: 'Phone', value: doc => doc.phone },
+  branch: { header: 'Branch', value: doc => doc.branch },
+  time: { header: 'Pickup Time', value: doc => doc.time },
+  status: { header: 'Status', value: doc => doc.status },
+  items: { header: 'Items', value: doc => (doc.items || []).map(line => `${line.quantity} x ${line.name}`).join('; ') },
+  totalLbp: { header: 'Total (LBP)', value: doc => doc.total && doc.total.lbp },
+  totalUsd: { header: 'Total (USD)', value: doc => doc.total && doc.total.usd },
+  cancellationReason: { header: 'Cancellation Reason', value: doc => doc.cancellationReason },
+  createdAt: { header: 'Created At', value: doc => doc.createdAt },
+  archivedAt: { header: 'Archived At', value: doc => doc.archivedAt },
+  source: { header: 'Source', value: doc => doc.source }
+};
+
+const DEFAULT_COLUMNS = ['id', 'name', 'phone', 'branch', 'time', 'status', 'cancellationReason', 'createdAt'];
+
+function parseColumns(value) {
+  if (!value) return DEFAULT_COLUMNS;
+  const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !COLUMNS[column]);
+  if (unknown.length > 0 || columns.length === 0) {
+    throw invalidField('query', 'columns', `columns must be chosen from ${Object.keys(COLUMNS).join(', ')}`);
+  }
+  return columns;
+}
+
+// Keep the leading + and country code (for foreign numbers, the first digits) and
+// the last two digits, e.g. +961*****56
+function maskPhone(phone) {
+  if (typeof phone !== 'string' || phone.length <= 6) return phone;
+  return phone.slice(0, 4) + '*'.repeat(phone.length - 6) + phone.slice(-2);
+}
+
+function toRow(doc, columns, { maskPhones }) {
+  return columns.map(column => {
+    const value = COLUMNS[column].value(doc);
+    return column === 'phone' && maskPhones ? maskPhone(value) : value;
+  });
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheet apps from evaluating customer-entered text as a formula
+  if (/^[=@\t\r]|^[+-](?!\d+$)/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Wait until the response can take more data. Resolves with false instead if the
+// client disconnects first, since the response will never drain then.
+function waitForDrain(res) {
+  if (res.destroyed) return Promise.resolve(false);
+  return new Promise(resolve => {
+    const finish = drained => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => finish(true);
+    const onClose = () => finish(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+}
+
+// Stream documents as CSV, respecting backpressure. Stops reading documents as soon
+// as the client disconnects; leaving the loop closes the source cursor.
+async function writeCsv(res, docs, columns, options) {
+  res.write(columns.map(column => csvCell(COLUMNS[column].header)).join(',') + '\r\n');
+  for await (const doc of docs) {
+    if (res.destroyed) return;
+    const line = toRow(doc, columns, options).map(csvCell).join(',') + '\r\n';
+    if (!res.write(line) && !await waitForDrain(res)) return;
+  }
+  res.end();
+}
+
+// Stream documents as an XLSX workbook; rows are committed as they are written and
+// reading pauses while the response is backed up, or stops if the client disconnects
+async function writeXlsx(res, docs, columns, options) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Reservations');
+  sheet.columns = columns.map(column => ({
+    header: COLUMNS[column].header,
+    key: column,
+    width: column === 'name' ? 24 : 20,
+    style: ['time', 'createdAt', 'archivedAt'].includes(column) ? { numFmt: 'yyyy-mm-dd hh:mm' } : undefined
+  }));
+
+  for await (const doc of docs) {
+    if (res.destroyed) return;
+    sheet.addRow(toRow(doc, columns, options)).commit();
+    if (res.writableNeedDrain && !await waitForDrain(res)) return;
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  COLUMNS,
+  parseColumns,
+  maskPhone,
+  writeCsv,
+  writeXlsx
+};
@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const { Reservation } = require('../models/reservation');
+const { ReservationEvent } = require('../models/reservationEvent');
+const { invalidField } = require('./errors');
+
+const FEED_BATCH_SIZE = 200;
+
+// Live events recorded by this process. Only the long-running server keeps
+// subscribers; serverless instances rely on polling the event log instead.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Accepts a feed item ID (as sent in SSE ids) or an ISO timestamp; returns the
+// filter for the events after it. Item IDs are the events' sequence numbers, which
+// are taken from one counter and so keep their order across server instances;
+// ObjectIds carry the clock of whichever instance made them, so they don't.
+// Hex IDs are those of events recorded before sequence numbers existed; everything
+// numbered since then comes after them.
+function parseCursor(value, name = 'since', location = 'query') {
+  if (!value) return null;
+  if (mongoose.isObjectIdOrHexString(value)) {
+    return { $or: [{ seq: { $exists: true } }, { _id: { $gt: new mongoose.Types.ObjectId(value) } }] };
+  }
+  if (/^\d+$/.test(value)) {
+    return { seq: { $gt: Number(value) } };
+  }
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw invalidField(location, name, `${name} must be an event ID or an ISO date`);
+  }
+  return { at: { $gt: date } };
+}
+
+// What a dashboard receives: the event plus the reservation as it stands now
+// (null once the reservation has been archived or deleted)
+function toFeedItem(event, reservation) {
+  return {
+    id: String(event.seq !== undefined ? event.seq : event._id),
+    type: event.type,
+    reservationId: String(event.reservation),
+    branch: event.branch,
+    changes: event.changes,
+    reason: event.reason,
+    actor: event.actor,
+    at: event.at,
+    reservation: reservation ? reservation.toJSON() : null
+  };
+}
+
+async function withReservations(events) {
+  const reservations = await Reservation.find({ _id: { $in: events.map(event => event.reservation) } });
+  const byId = new Map(reservations.map(reservation => [String(reservation._id), reservation]));
+  return events.map(event => toFeedItem(event, byId.get(String(event.reservation))));
+}
+
+// Feed items recorded after `cursor` (from parseCursor), oldest first. `branches`
+// limits the feed to those branches; null means every branch.
+async function itemsSince(cursor, branches, limit = FEED_BATCH_SIZE) {
+  const filter = { ...cursor };
+  if (branches) filter.branch = { $in: branches };
+
+  const order = cursor ? 1 : -1;
+  const events = await ReservationEvent.find(filter)
+    .sort({ seq: order, _id: order })
+    .limit(Math.min(limit, FEED_BATCH_SIZE))
+    .lean();
+  // Without a cursor the newest events are wanted, still delivered oldest first
+  if (!cursor) events.reverse();
+  return withReservations(events);
+}
+
+// Called once events are stored; skips the lookup entirely when nobody is listening
+async function publish(events) {
+  if (emitter.listenerCount('item') === 0 || events.length === 0) return;
+  try {
+    for (const item of await withReservations(events)) {
+      emitter.emit('item', item);
+    }
+  } catch (error) {
+    console.error('Error publishing reservation feed events:', error);
+  }
+}
+
+// Receive live feed items for the given branches (null for all); returns an unsubscribe function
+function subscribe(branches, listener) {
+  const handler = item => {
+    if (!branches || branches.includes(item.branch)) listener(item);
+  };
+  emitter.on('item', handler);
+  return () => emitter.off('item', handler);
+}
+
+module.exports = {
+  FEED_BATCH_SIZE,
+  parseCursor,
+  itemsSince,
+  publish,
+  subscribe
+};
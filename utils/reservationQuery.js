@@ -0,0 +1,70 @@
+const { invalidField } = require('./errors');
+const { phoneSearchPrefix } = require('./phone');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SORTABLE_FIELDS = ['createdAt', 'time', 'name', 'branch', 'status'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const listParam = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw invalidField('query', name, `${name} must be a valid date`);
+  }
+  return date;
+}
+
+function dateRange(query, fromParam, toParam) {
+  const range = {};
+  if (query[fromParam]) range.$gte = parseDate(query[fromParam], fromParam);
+  if (query[toParam]) range.$lte = parseDate(query[toParam], toParam);
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+// Turn list query parameters into a MongoDB filter, sort and page.
+// Throws a validation error when a parameter is invalid.
+function parseListQuery(query) {
+  const filter = {};
+
+  if (query.status) {
+    filter.status = { $in: listParam(query.status) };
+  }
+  if (query.branch) {
+    filter.branch = { $in: listParam(query.branch) };
+  }
+  if (query.phone) {
+    filter.phone = { $regex: `^${escapeRegex(phoneSearchPrefix(query.phone))}` };
+  }
+  if (query.name) {
+    filter.name = { $regex: escapeRegex(String(query.name)), $options: 'i' };
+  }
+
+  const time = dateRange(query, 'timeFrom', 'timeTo');
+  if (time) filter.time = time;
+  const createdAt = dateRange(query, 'createdFrom', 'createdTo');
+  if (createdAt) filter.createdAt = createdAt;
+
+  const sortParam = String(query.sort || '-createdAt');
+  const sortField = sortParam.replace(/^-/, '');
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    throw invalidField('query', 'sort', `sort must be one of ${SORTABLE_FIELDS.join(', ')}, optionally prefixed with -`);
+  }
+  // _id breaks ties so pages don't overlap or skip rows
+  const sort = { [sortField]: sortParam.startsWith('-') ? -1 : 1, _id: 1 };
+
+  const page = parseInt(query.page || '1');
+  const limit = parseInt(query.limit || String(DEFAULT_LIMIT));
+  if (!(page >= 1)) {
+    throw invalidField('query', 'page', 'page must be a positive number');
+  }
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+    throw invalidField('query', 'limit', `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  return { filter, sort, page, limit };
+}
+
+module.exports = { parseListQuery };
@@ -0,0 +1,37 @@
+// Allowed status transitions, keyed by the action endpoint that performs them
+const TRANSITIONS = {
+  confirm: { from: ['pending'], to: 'confirmed' },
+  cancel: { from: ['pending', 'confirmed'], to: 'cancelled' },
+  complete: { from: ['confirmed'], to: 'completed' },
+  'no-show': { from: ['confirmed'], to: 'cancelled', reason: 'no_show' }
+};
+
+// Customer message sent after each action; no-shows aren't messaged
+const ACTION_EVENTS = {
+  confirm: 'confirmed',
+  cancel: 'cancelled'
+};
+
+// Reservations in these states can no longer be edited or transitioned
+const FINAL_STATUSES = ['cancelled', 'completed'];
+
+// Fields that can still be changed through PUT; everything else goes through an action endpoint
+const EDITABLE_FIELDS = ['name', 'branch', 'time', 'language', 'items'];
+
+function historyEntry(from, to, { reason, by } = {}) {
+  return {
+    from,
+    to,
+    reason,
+    by: by || 'unknown',
+    at: new Date()
+  };
+}
+
+module.exports = {
+  TRANSITIONS,
+  ACTION_EVENTS,
+  FINAL_STATUSES,
+  EDITABLE_FIELDS,
+  historyEntry
+};
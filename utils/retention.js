@@ -0,0 +1,159 @@
+const { Reservation } = require('../models/reservation');
+const { Archive } = require('../models/archive');
+const { RetentionPolicy } = require('../models/retentionPolicy');
+const { toArchive, moveDocuments } = require('./archive');
+const { anonymizeUpdate } = require('./privacy');
+const reservationEvents = require('./reservationEvents');
+const customers = require('./customers');
+
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The windows the system has always used: abandoned pending orders go after a day,
+// finished ones after 30 days, and anything still around after 60 days is archived.
+// Archived reservations lose the customer's name and phone after a year. Live
+// reservations are never touched before their pickup time, however early they were booked.
+const DEFAULT_POLICY = {
+  key: 'default',
+  rules: [
+    { source: 'live', status: 'pending', afterDays: 1, action: 'delete' },
+    { source: 'live', status: 'confirmed', afterDays: 30, action: 'delete' },
+    { source: 'live', status: 'cancelled', afterDays: 30, action: 'delete' },
+    { source: 'live', status: 'completed', afterDays: 30, action: 'delete' },
+    { source: 'live', afterDays: 60, action: 'archive' },
+    { source: 'archive', afterDays: 365, action: 'anonymize' }
+  ],
+  storageLimitMB: 512
+};
+
+const MODELS = {
+  live: Reservation,
+  archive: Archive
+};
+
+async function getPolicy() {
+  const policy = await RetentionPolicy.findOne({ key: 'default' }).lean();
+  return policy || DEFAULT_POLICY;
+}
+
+// Check a proposed policy without saving it; throws the validation error if invalid
+async function validatePolicy(policy) {
+  const doc = new RetentionPolicy({ ...policy, key: 'default' });
+  await doc.validate();
+  return doc.toObject();
+}
+
+function describeRule(rule) {
+  const what = `${rule.status || 'all'} reservations${rule.branch ? ` at ${rule.branch}` : ''}`;
+  const where = rule.source === 'archive' ? 'archived ' : '';
+  return `${rule.action} ${where}${what} older than ${rule.afterDays} days`;
+}
+
+// The query a rule applies to. Branch-specific rules override general ones for the
+// same source and status, so general rules skip branches that have their own.
+function ruleFilter(rule, rules, now = new Date()) {
+  const filter = { createdAt: { $lt: new Date(now.getTime() - rule.afterDays * DAY_MS) } };
+  if (rule.source === 'live') {
+    // Reservations from before pickup times were dates hold strings like "8:00 PM";
+    // only their age can be judged, so createdAt alone decides for them
+    filter.$or = [{ time: { $lt: now } }, { time: { $not: { $type: 'date' } } }];
+  }
+  if (rule.status) {
+    filter.status = rule.status;
+  }
+
+  if (rule.branch) {
+    filter.branch = rule.branch;
+  } else {
+    const overridden = rules
+      .filter(other => other.branch && other.source === rule.source && (other.status || null) === (rule.status || null))
+      .map(other => other.branch);
+    if (overridden.length > 0) {
+      filter.branch = { $nin: overridden };
+    }
+  }
+
+  if (rule.action === 'anonymize') {
+    filter.anonymizedAt = { $exists: false };
+  }
+  return filter;
+}
+
+const EVENT_TYPES = {
+  delete: 'deleted',
+  archive: 'archived',
+  anonymize: 'anonymized'
+};
+
+// Rules work in batches so memory stays flat however many records are due,
+// and so each affected reservation gets its own history event
+async function applyRule(rule, filter, actor) {
+  const Model = MODELS[rule.source];
+  const reason = describeRule(rule);
+
+  let affected = 0;
+  for (;;) {
+    const batch = await Model.find(filter).limit(BATCH_SIZE).lean();
+    if (batch.length === 0) break;
+    const ids = batch.map(doc => doc._id);
+
+    if (rule.action === 'delete') {
+      const result = await Model.deleteMany({ _id: { $in: ids } });
+      affected += result.deletedCount;
+    } else if (rule.action === 'archive') {
+      const archivedAt = new Date();
+      affected += await moveDocuments(Reservation, Archive, batch.map(doc => toArchive(doc, {
+        archivedAt,
+        archiveReason: 'age',
+        originalCollection: 'reservations'
+      })));
+    } else {
+      await Model.collection.bulkWrite(batch.map(doc => ({
+        updateOne: { filter: { _id: doc._id }, update: anonymizeUpdate(doc) }
+      })));
+      await reservationEvents.redactPersonalData(ids);
+      affected += batch.length;
+    }
+
+    await reservationEvents.recordMany(batch, EVENT_TYPES[rule.action], { actor, reason });
+  }
+  return affected;
+}
+
+// Apply the retention policy (or only the given actions/sources of it), then drop the
+// customer profiles it left without any identifiable reservation.
+// With dryRun nothing changes; each rule reports how many records it would affect.
+async function applyRetention({ actions, sources, dryRun = false, policy, actor = 'system:retention' } = {}) {
+  const activePolicy = policy || await getPolicy();
+  const rules = activePolicy.rules.map(rule => ({ source: 'live', ...rule }));
+  const now = new Date();
+
+  const results = [];
+  for (const rule of rules) {
+    if (actions && !actions.includes(rule.action)) continue;
+    if (sources && !sources.includes(rule.source)) continue;
+
+    const filter = ruleFilter(rule, rules, now);
+    const affected = dryRun
+      ? await MODELS[rule.source].countDocuments(filter)
+      : await applyRule(rule, filter, actor);
+    results.push({ rule, description: describeRule(rule), affected });
+  }
+
+  const customersRemoved = dryRun ? 0 : await customers.pruneProfiles(now);
+
+  return {
+    dryRun,
+    total: results.reduce((sum, result) => sum + result.affected, 0),
+    results,
+    customersRemoved
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  validatePolicy,
+  describeRule,
+  applyRetention
+};
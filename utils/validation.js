@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { normalizePhone } = require('./phone');
+
+const INVALID = Symbol('invalid');
+
+// Turn a raw value into the declared type, or INVALID. Query strings and JSON bodies
+// both come through here, so numbers, booleans and dates are accepted as strings too.
+const TYPES = {
+  string: value => (typeof value === 'string' || typeof value === 'number') ? String(value) : INVALID,
+  integer: value => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(number) ? number : INVALID;
+  },
+  number: value => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : INVALID;
+  },
+  boolean: value => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return INVALID;
+  },
+  date: value => {
+    if (typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Date)) return INVALID;
+    const date = new Date(value);
+    return isNaN(date) ? INVALID : date;
+  },
+  objectId: value => typeof value === 'string' && mongoose.isObjectIdOrHexString(value) ? value : INVALID,
+  // Normalized to E.164; whether foreign numbers are welcome is up to the route
+  phone: value => normalizePhone(value, { allowForeign: true }) || INVALID,
+  // Comma-separated in query strings, a real array in JSON bodies
+  list: value => {
+    const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : INVALID);
+    return items === INVALID ? INVALID : items.map(item => String(item).trim()).filter(Boolean);
+  },
+  array: value => Array.isArray(value) ? value : INVALID,
+  object: value => value && typeof value === 'object' && !Array.isArray(value) ? value : INVALID,
+  any: value => value
+};
+
+const TYPE_NAMES = {
+  objectId: 'a valid ID',
+  phone: 'a valid phone number',
+  list: 'a list',
+  integer: 'an integer',
+  array: 'an array',
+  object: 'an object'
+};
+
+const describeType = type => TYPE_NAMES[type] || `a ${type}`;
+
+function checkRule(rule, raw, path, location, errors) {
+  const fail = message => {
+    errors.push({ location, field: path, message: rule.message || message });
+    return INVALID;
+  };
+
+  if (rule.forbidden) {
+    return fail(rule.forbidden);
+  }
+  if (raw === null && rule.nullable) {
+    return null;
+  }
+
+  let value = TYPES[rule.type || 'string'](raw);
+  if (value === INVALID) {
+    return fail(`${path} must be ${describeType(rule.type || 'string')}`);
+  }
+
+  if (typeof value === 'string' && rule.trim !== false) value = value.trim();
+  if (rule.lowercase && typeof value === 'string') value = value.toLowerCase();
+
+  if (rule.required && (value === '' || (Array.isArray(value) && value.length === 0))) {
+    return fail(`${path} is required`);
+  }
+  if (rule.enum && ![].concat(value).every(item => rule.enum.includes(item))) {
+    return fail(`${path} must be one of ${rule.enum.join(', ')}`);
+  }
+  if (rule.min !== undefined && value < rule.min) return fail(`${path} must be at least ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max) return fail(`${path} must be at most ${rule.max}`);
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return fail(`${path} must be at least ${rule.minLength} ${typeof value === 'string' ? 'characters' : 'items'} long`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fail(`${path} must be at most ${rule.maxLength} ${typeof value === 'string' ? 'characters' : 'items'} long`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return fail(`${path} is not valid`);
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    return validateFields(rule.fields, value, { location, prefix: `${path}.`, unknown: rule.unknown, errors });
+  }
+  if (rule.type === 'array' && rule.of) {
+    return value.map((item, index) => checkRule(rule.of, item, `${path}[${index}]`, location, errors));
+  }
+  return value;
+}
+
+function validateFields(schema, input, { location, prefix = '', unknown = 'strip', errors }) {
+  const source = input || {};
+  const value = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const path = `${prefix}${field}`;
+    const raw = source[field];
+    if (raw === undefined || (raw === '' && location === 'query')) {
+      if (rule.required) {
+        errors.push({ location, field: path, message: rule.message || `${path} is required` });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      continue;
+    }
+    const checked = checkRule(rule, raw, path, location, errors);
+    if (checked !== INVALID) value[field] = checked;
+  }
+
+  if (unknown === 'reject') {
+    Object.keys(source)
+      .filter(field => !(field in schema))
+      .forEach(field => errors.push({ location, field: `${prefix}${field}`, message: `${prefix}${field} is not allowed` }));
+  }
+  return value;
+}
+
+// Check `input` against a schema of field rules. Returns the cleaned value, with
+// values coerced to their declared types and unknown fields dropped (or reported,
+// with unknown: 'reject'), and the list of field errors.
+function validateInput(schema, input, { location = 'body', unknown = 'strip' } = {}) {
+  const errors = [];
+  const value = validateFields(schema, input, { location, unknown, errors });
+  return { value, errors };
+}
+
+// Rules shared between routes
+const objectIdParam = { type: 'objectId', required: true, message: 'id must be a valid ID' };
+const idParams = { id: objectIdParam };
+// Branches are added at runtime, so names are checked against the database by the route
+const branchParams = {
+  branch: { type: 'string', required: true, minLength: 1, maxLength: 100, message: 'branch must be a branch name' }
+};
+
+// Filters, sorting and paging accepted by every reservation list (see parseListQuery)
+const listQuery = {
+  status: { type: 'list' },
+  branch: { type: 'list' },
+  phone: { type: 'string', maxLength: 20 },
+  name: { type: 'string', maxLength: 100 },
+  timeFrom: { type: 'date' },
+  timeTo: { type: 'date' },
+  createdFrom: { type: 'date' },
+  createdTo: { type: 'date' },
+  sort: { type: 'string' },
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: 200 }
+};
+
+module.exports = {
+  validateInput,
+  idParams,
+  branchParams,
+  listQuery
+};